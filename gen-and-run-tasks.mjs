@@ -5,10 +5,72 @@ import { loadConfig, validateConfig, resolveFilePaths } from './lib/config.mjs';
 import { printHeader, printUsage, parseArguments } from './lib/utils.mjs';
 import { generateTasks } from './lib/taskgen.mjs';
 import { executeTasks } from './lib/executor.mjs';
+import { TASK_STATUS } from './lib/result.mjs';
+import { STOP_REASON } from './lib/cancellation.mjs';
+import { formatUsage } from './lib/usage.mjs';
+import { buildPlan, printPlan, writePlan } from './lib/plan.mjs';
+import { validateBundle, printValidation } from './lib/validate.mjs';
+import { initBundle } from './lib/init.mjs';
+import { openPullRequest } from './lib/pullrequest.mjs';
 
 // Disable default command output
 $.verbose = false;
 
+/**
+ * Commands given as the first positional argument (without one, tasks are generated and run)
+ */
+const COMMANDS = ['validate', 'init', 'pr'];
+
+/**
+ * Validate bundles without generating or running anything
+ * @param {string[]} bundlePaths - Bundle directories
+ * @returns {Promise<boolean>} Whether every bundle is free of errors (warnings are only printed)
+ */
+async function validateBundles(bundlePaths) {
+  if (bundlePaths.length === 0) {
+    throw new Error('No bundle to validate. Example: zx gen-and-run-tasks.mjs validate --bundle bundles/my-task');
+  }
+
+  printHeader('🔎 BUNDLE VALIDATION');
+  let valid = true;
+  for (const bundlePath of bundlePaths) {
+    console.log(`📦 Validating ${bundlePath}...`);
+    const result = await validateBundle(bundlePath);
+    printValidation(bundlePath, result);
+    console.log('');
+    valid = valid && result.errors.length === 0;
+  }
+  console.log('═══════════════════════════════════════════════════════════════════════════════════');
+  return valid;
+}
+
+/**
+ * Create a new bundle and check it
+ * @param {string} bundlePath - Bundle directory to create
+ * @param {Object} cliOptions - Command line options (see initBundle)
+ * @returns {Promise<boolean>} Whether the new bundle is valid
+ */
+async function createBundle(bundlePath, cliOptions) {
+  if (!bundlePath) {
+    throw new Error('No bundle directory given. Example: zx gen-and-run-tasks.mjs init bundles/my-task --org stolostron --repos ocm');
+  }
+
+  printHeader('🆕 NEW BUNDLE');
+  const created = await initBundle(bundlePath, cliOptions);
+  for (const file of created) {
+    console.log(`📝 Created ${file}`);
+  }
+  console.log('');
+
+  const result = await validateBundle(bundlePath);
+  printValidation(bundlePath, result);
+  console.log('');
+  console.log(`👉 Next: describe the change in ${path.join(bundlePath, 'task.md')}, then preview it with:`);
+  console.log(`   zx gen-and-run-tasks.mjs --bundle ${bundlePath} --plan`);
+  console.log('═══════════════════════════════════════════════════════════════════════════════════');
+  return result.errors.length === 0;
+}
+
 /**
  * Main function
  */
@@ -23,6 +85,22 @@ async function main() {
       process.exit(0);
     }
 
+    if (cliOptions.command && !COMMANDS.includes(cliOptions.command)) {
+      throw new Error(`Unknown command '${cliOptions.command}' (use: ${COMMANDS.join(', ')})`);
+    }
+    if (cliOptions.command === 'validate') {
+      const bundlePaths = [cliOptions.bundle, ...cliOptions.bundles].filter(Boolean);
+      process.exit((await validateBundles(bundlePaths)) ? 0 : 1);
+    }
+    if (cliOptions.command === 'init') {
+      process.exit((await createBundle(cliOptions.bundles[0] || cliOptions.bundle, cliOptions)) ? 0 : 1);
+    }
+    if (cliOptions.command === 'pr') {
+      const url = await openPullRequest(cliOptions.bundles[0], { title: cliOptions.title, body: cliOptions.body });
+      console.log(`🔗 Pull request: ${url}`);
+      process.exit(0);
+    }
+
     // Load configuration
     const config = await loadConfig(cliOptions, cliOptions.bundle);
 
@@ -30,19 +108,55 @@ async function main() {
     validateConfig(config);
 
     // Resolve file paths
-    const paths = await resolveFilePaths(cliOptions.bundle, config.guideFile);
+    const paths = await resolveFilePaths(cliOptions.bundle, config.guideFile, config.promptTemplate, config.steps);
 
     // Display configuration info
     console.log(`📦 Using bundle: ${cliOptions.bundle}`);
+    if (paths.bundleChain.length > 1) {
+      console.log(`🧬 Extends: ${paths.bundleChain.slice(1).join(' → ')}`);
+    }
     if (paths.bundleGuide) {
       console.log(`📋 Using bundle-specific guide: ${paths.guideFile}`);
     }
 
+    // PRE-FLIGHT CHECK
+    // Bundle mistakes fail before anything is cloned or run; target.yml only matters when tasks are (re)generated
+    const generate = !config.runOnly && (config.incremental || (!config.resume && !config.retryFailed));
+    const validation = await validateBundle(cliOptions.bundle, { config, targets: generate || Boolean(config.plan || config.planFile) });
+    for (const message of validation.warnings) {
+      console.warn(`⚠️  Warning: ${message}`);
+    }
+    if (validation.errors.length > 0) {
+      throw new Error(`Bundle ${cliOptions.bundle} is not valid:\n   ${validation.errors.join('\n   ')}`);
+    }
+
+    // PLAN SECTION
+    // A dry run: only reports what generation would do
+    if (config.plan || config.planFile) {
+      printHeader('🔍 PLAN (dry run, nothing is changed)');
+
+      const plan = await buildPlan(paths, config);
+      printPlan(plan);
+      if (config.planFile) {
+        await writePlan(plan, config.planFile);
+        console.log('');
+        console.log(`📝 Plan written: ${config.planFile}`);
+      }
+      console.log('═══════════════════════════════════════════════════════════════════════════════════');
+      process.exit(0);
+    }
+
     // GENERATION SECTION
-    if (!config.runOnly) {
+    // Resuming works on the existing tasks directory, so it only regenerates incrementally
+    if (generate) {
       printHeader('📝 TASK GENERATION');
 
-      const generatedCount = await generateTasks(paths);
+      const generatedCount = await generateTasks(paths, {
+        hooks: config.hooks,
+        incremental: config.incremental,
+        setupJobs: config.setupJobs,
+        config,
+      });
 
       console.log('');
       console.log(`🎉 Successfully generated ${generatedCount} tasks in ${paths.outputDir} directory`);
@@ -64,12 +178,49 @@ async function main() {
       console.log(`⏱️  Total duration: ${executionResult.duration}`);
       console.log(`✅ Successful:    ${executionResult.successful}`);
       console.log(`❌ Failed:        ${executionResult.failed}`);
+      console.log(`❔ Unknown:       ${executionResult.unknown}`);
+      if (executionResult.counts[TASK_STATUS.TIMED_OUT] > 0) {
+        console.log(`⏰ Timed out:     ${executionResult.counts[TASK_STATUS.TIMED_OUT]}`);
+      }
+      if (executionResult.counts[TASK_STATUS.BUDGET_EXCEEDED] > 0) {
+        console.log(`💸 Over budget:   ${executionResult.counts[TASK_STATUS.BUDGET_EXCEEDED]}`);
+      }
+      if (executionResult.counts[TASK_STATUS.INTERRUPTED] > 0) {
+        console.log(`🛑 Interrupted:   ${executionResult.counts[TASK_STATUS.INTERRUPTED]}`);
+      }
+      if (executionResult.counts[TASK_STATUS.NOT_STARTED] > 0) {
+        console.log(`⏸️  Not started:   ${executionResult.counts[TASK_STATUS.NOT_STARTED]}`);
+      }
+      if (executionResult.counts[TASK_STATUS.SKIPPED] > 0) {
+        console.log(`⏭️  Skipped:       ${executionResult.counts[TASK_STATUS.SKIPPED]}`);
+      }
       console.log(`📁 Total tasks:   ${executionResult.totalTasks}`);
+      if (executionResult.usage) {
+        console.log(`💰 Agent usage:   ${formatUsage(executionResult.usage)}`);
+      }
+      for (const reportFile of executionResult.reportFiles) {
+        console.log(`📝 Report:        ${reportFile}`);
+      }
       console.log('═══════════════════════════════════════════════════════════════════════════════════');
 
-      if (executionResult.failed > 0) {
+      if (executionResult.stopReason === STOP_REASON.INTERRUPT) {
+        console.log('');
+        console.log('🛑 Execution was interrupted. Use --resume to finish the remaining tasks.');
+        process.exit(130);
+      } else if (executionResult.haltReason) {
+        console.log('');
+        console.log(`🚧 Rollout halted (${executionResult.haltReason}). Fix the task and use --resume to run the remaining tasks.`);
+        process.exit(1);
+      } else if (executionResult.hookError) {
+        console.log('');
+        console.log(`❌ Execution completed, but the afterRun hook failed: ${executionResult.hookError}`);
+        process.exit(1);
+      } else if (executionResult.successful + executionResult.previouslySucceeded < executionResult.totalTasks) {
         console.log('');
-        console.log(`⚠️  Some tasks failed. Check execution.log files in ${executionResult.outputDir}/ for details.`);
+        console.log(`⚠️  Some tasks did not succeed. Check execution.log and result.json files in ${executionResult.outputDir}/ for details.`);
+        if (executionResult.skipped > executionResult.previouslySucceeded) {
+          console.log(`♻️  ${executionResult.skipped - executionResult.previouslySucceeded} tasks never started and were not retried. Use --resume to run them.`);
+        }
         console.log('❌ Execution completed with failures.');
         process.exit(1);
       } else {
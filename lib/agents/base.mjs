@@ -8,6 +8,10 @@ export class BaseAgent {
   constructor(name) {
     this.name = name;
     this._detectedPath = null;
+    // Budget limits the CLI enforces itself (e.g. 'maxTurns'); the executor enforces the rest
+    this.supportedLimits = [];
+    // Whether the agent reports token usage and cost through an output parser
+    this.reportsUsage = false;
   }
 
   /**
@@ -32,12 +36,26 @@ export class BaseAgent {
 
   /**
    * Build the shell command string to execute a task
+   * The command either writes its own output to the log file, or prints it to stdout and
+   * returns a parser ({write(chunk), end(), usage}) that the executor feeds with it.
+   * The command also writes the CLI's error output (stderr, error results) to errorFile, see errorLogFile().
    * @param {string} taskContent - Content of the task file
    * @param {string} repoCodePath - Path to the repository code directory
    * @param {string} absoluteLogFile - Absolute path to the log file
-   * @returns {Promise<{cmd: string, args: string[]}>} Command and arguments for execution
+   * @param {Object} options - Command options
+   * @param {Object} options.limits - Per-task budget limits ({maxCostUsd, maxTokens, maxTurns}) to pass to the CLI
+   * @returns {Promise<{shell: string, errorFile: string, cleanup?: Function, parser?: Object}>} Shell command, error log, optional cleanup and output parser
    */
-  async buildCommand(taskContent, repoCodePath, absoluteLogFile) {
+  async buildCommand(taskContent, repoCodePath, absoluteLogFile, options = {}) {
     throw new Error(`${this.name}: buildCommand() not implemented`);
   }
 }
+
+/**
+ * Error log written next to an execution log: execution.log -> execution.errors.log
+ * @param {string} logFile - Execution log file
+ * @returns {string} Error log file
+ */
+export function errorLogFile(logFile) {
+  return logFile.replace(/(\.log)?$/, '.errors.log');
+}
@@ -0,0 +1,192 @@
+#!/usr/bin/env zx
+
+import { fs } from 'zx';
+import { emptyUsage } from '../usage.mjs';
+
+/**
+ * Maximum length of tool inputs and results in the human-readable log
+ */
+const MAX_PREVIEW_LENGTH = 200;
+
+/**
+ * Shorten a value to a single-line preview
+ * @param {any} value - Value to preview
+ * @returns {string} Single-line preview
+ */
+function preview(value) {
+  const text = (typeof value === 'string' ? value : JSON.stringify(value) ?? '').replace(/\s+/g, ' ').trim();
+  return text.length > MAX_PREVIEW_LENGTH ? `${text.slice(0, MAX_PREVIEW_LENGTH)}…` : text;
+}
+
+/**
+ * Pick the most descriptive field of a tool input for the log
+ * @param {Object} input - Tool input
+ * @returns {string} Preview of the tool input
+ */
+function previewToolInput(input = {}) {
+  const key = ['command', 'file_path', 'path', 'pattern', 'url', 'description'].find(k => typeof input[k] === 'string');
+  return preview(key ? input[key] : input);
+}
+
+/**
+ * Parses Claude Code `--output-format stream-json` output as it arrives.
+ * Raw events are saved to a .jsonl file, a human-readable transcript is written
+ * to the execution log, and token usage, cost, turns and tool calls are collected.
+ * Output that is not part of the stream (the CLI's stderr) and an error result are also
+ * written to the error log, which retry log patterns are matched against.
+ */
+export class ClaudeStreamParser {
+  /**
+   * @param {string} logFile - Path of the human-readable log
+   * @param {string} streamFile - Path of the raw stream-json log
+   * @param {string} errorFile - Path of the error log
+   */
+  constructor(logFile, streamFile, errorFile) {
+    this.usage = emptyUsage();
+    this._log = fs.createWriteStream(logFile, { flags: 'w' });
+    this._stream = fs.createWriteStream(streamFile, { flags: 'w' });
+    this._errors = fs.createWriteStream(errorFile, { flags: 'w' });
+    this._buffer = '';
+    this._sawResult = false;
+    this._seenMessages = new Set();
+    // Set to the limit name when the CLI stopped itself because of a budget flag
+    this.limitReached = null;
+  }
+
+  /**
+   * Feed a chunk of agent output
+   * @param {Buffer|string} chunk - Output chunk
+   */
+  write(chunk) {
+    this._buffer += chunk.toString();
+    const lines = this._buffer.split('\n');
+    this._buffer = lines.pop();
+    for (const line of lines) {
+      this._handleLine(line);
+    }
+  }
+
+  /**
+   * Flush remaining output and close the log files
+   * @returns {Promise<void>}
+   */
+  async end() {
+    if (this._buffer) {
+      this._handleLine(this._buffer);
+      this._buffer = '';
+    }
+    await Promise.all([this._log, this._stream, this._errors].map(stream => new Promise(resolve => stream.end(resolve))));
+  }
+
+  _handleLine(line) {
+    if (!line.trim()) {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      // Not part of the stream (e.g. stderr output), keep it verbatim
+      this._log.write(line + '\n');
+      this._errors.write(line + '\n');
+      return;
+    }
+
+    this._stream.write(line + '\n');
+    this._handleEvent(event);
+  }
+
+  _handleEvent(event) {
+    switch (event.type) {
+      case 'system':
+        if (event.subtype === 'init') {
+          this._log.write(`⚙️  Session started (model: ${event.model || 'unknown'}, cwd: ${event.cwd || 'unknown'})\n`);
+        }
+        break;
+
+      case 'assistant':
+        this._handleAssistantMessage(event.message || {});
+        break;
+
+      case 'user':
+        for (const block of event.message?.content || []) {
+          if (block.type === 'tool_result') {
+            const marker = block.is_error ? '❌' : '↳';
+            this._log.write(`   ${marker} ${preview(block.content)}\n`);
+          }
+        }
+        break;
+
+      case 'result':
+        this._handleResult(event);
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  _handleAssistantMessage(message) {
+    // Per-message usage is only a fallback for when the final result event never arrives
+    // (e.g. the agent was killed). A message split over several events is counted once.
+    const isNewMessage = !message.id || !this._seenMessages.has(message.id);
+    if (message.id) {
+      this._seenMessages.add(message.id);
+    }
+    if (!this._sawResult && isNewMessage) {
+      this.usage.turns++;
+      if (message.usage) {
+        this._addTokens(message.usage);
+      }
+    }
+
+    for (const block of message.content || []) {
+      if (block.type === 'text' && block.text?.trim()) {
+        this._log.write(`${block.text.trim()}\n`);
+      } else if (block.type === 'tool_use') {
+        this.usage.tools[block.name] = (this.usage.tools[block.name] || 0) + 1;
+        this._log.write(`🔧 ${block.name}: ${previewToolInput(block.input)}\n`);
+      }
+    }
+  }
+
+  _handleResult(event) {
+    this._sawResult = true;
+    if (event.subtype === 'error_max_turns') {
+      this.limitReached = 'maxTurns';
+    }
+
+    // The result event carries authoritative totals for the whole session
+    if (event.usage) {
+      Object.assign(this.usage, {
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheCreationTokens: 0,
+        cacheReadTokens: 0,
+      });
+      this._addTokens(event.usage);
+    }
+    if (typeof event.total_cost_usd === 'number') {
+      this.usage.costUsd = event.total_cost_usd;
+    }
+    if (typeof event.num_turns === 'number') {
+      this.usage.turns = event.num_turns;
+    }
+
+    this._log.write(`🏁 Result: ${event.subtype || 'unknown'}${event.is_error ? ' (error)' : ''}, ${this.usage.turns} turns, $${this.usage.costUsd.toFixed(4)}\n`);
+    if (typeof event.result === 'string' && event.result.trim()) {
+      this._log.write(`${event.result.trim()}\n`);
+    }
+    if (event.is_error) {
+      this._errors.write(`${event.subtype || 'error'}: ${typeof event.result === 'string' ? event.result.trim() : ''}\n`);
+    }
+  }
+
+  _addTokens(usage) {
+    this.usage.inputTokens += usage.input_tokens || 0;
+    this.usage.outputTokens += usage.output_tokens || 0;
+    this.usage.cacheCreationTokens += usage.cache_creation_input_tokens || 0;
+    this.usage.cacheReadTokens += usage.cache_read_input_tokens || 0;
+  }
+}
@@ -1,15 +1,19 @@
 #!/usr/bin/env zx
 
 import { $, fs, path as nodePath } from 'zx';
-import { BaseAgent } from './base.mjs';
+import { BaseAgent, errorLogFile } from './base.mjs';
+import { ClaudeStreamParser } from './claude-stream.mjs';
 
 /**
  * Claude Code CLI agent
- * Executes tasks using: echo <content> | claude -p "Execute this task" --verbose --output-format text --dangerously-skip-permissions
+ * Executes tasks using: echo <content> | claude -p "Execute this task" --verbose --output-format stream-json --dangerously-skip-permissions
+ * The stream is parsed live: raw events go to execution.stream.jsonl and a readable transcript to execution.log
  */
 export class ClaudeAgent extends BaseAgent {
   constructor() {
     super('claude');
+    this.supportedLimits = ['maxTurns'];
+    this.reportsUsage = true;
   }
 
   async detect() {
@@ -45,14 +49,22 @@ export class ClaudeAgent extends BaseAgent {
     return 'claude';
   }
 
-  async buildCommand(taskContent, repoCodePath, absoluteLogFile) {
+  async buildCommand(taskContent, repoCodePath, absoluteLogFile, options = {}) {
+    const { limits = {} } = options;
     const agentPath = await this.getPath();
     // Write task content to a temp file to avoid shell escaping issues with large content
     const tmpTaskFile = nodePath.join(repoCodePath, '.codesweep-task.md');
     await fs.writeFile(tmpTaskFile, taskContent, 'utf-8');
 
+    // Raw stream-json events are kept next to the readable log (execution.log -> execution.stream.jsonl)
+    const streamFile = absoluteLogFile.replace(/(\.log)?$/, '.stream.jsonl');
+    const errorFile = errorLogFile(absoluteLogFile);
+    const maxTurnsFlag = limits.maxTurns ? ` --max-turns ${Math.floor(limits.maxTurns)}` : '';
+
     return {
-      shell: `cd '${repoCodePath}' && cat '${tmpTaskFile}' | '${agentPath}' -p 'Execute this task' --verbose --output-format text --dangerously-skip-permissions > '${absoluteLogFile}' 2>&1`,
+      shell: `cd '${repoCodePath}' && cat '${tmpTaskFile}' | '${agentPath}' -p 'Execute this task' --verbose --output-format stream-json${maxTurnsFlag} --dangerously-skip-permissions 2>&1`,
+      parser: new ClaudeStreamParser(absoluteLogFile, streamFile, errorFile),
+      errorFile,
       cleanup: async () => {
         try {
           await fs.remove(tmpTaskFile);
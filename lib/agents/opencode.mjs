@@ -1,7 +1,7 @@
 #!/usr/bin/env zx
 
 import { $, fs, path as nodePath } from 'zx';
-import { BaseAgent } from './base.mjs';
+import { BaseAgent, errorLogFile } from './base.mjs';
 
 /**
  * OpenCode CLI agent
@@ -56,14 +56,19 @@ export class OpenCodeAgent extends BaseAgent {
     );
   }
 
-  async buildCommand(taskContent, repoCodePath, absoluteLogFile) {
+  async buildCommand(taskContent, repoCodePath, absoluteLogFile, options = {}) {
     const agentPath = await this.getPath();
     // Write task content to a temporary file for the -f flag
     const tmpTaskFile = nodePath.join(repoCodePath, '.codesweep-task.md');
     await fs.writeFile(tmpTaskFile, taskContent, 'utf-8');
 
+    const errorFile = errorLogFile(absoluteLogFile);
+
+    // stdout goes to the execution log (fd 3); stderr is copied to both logs as it arrives, so it survives
+    // the agent being killed and shows up in the dashboard. pipefail keeps the CLI's exit code.
     return {
-      shell: `cd '${repoCodePath}' && '${agentPath}' run -f '${tmpTaskFile}' 'Execute this task' --format default > '${absoluteLogFile}' 2>&1`,
+      shell: `set -o pipefail; cd '${repoCodePath}' && { '${agentPath}' run -f '${tmpTaskFile}' 'Execute this task' --format default 2>&1 >&3 3>&- | tee '${errorFile}' >&3; } 3> '${absoluteLogFile}'`,
+      errorFile,
       cleanup: async () => {
         try {
           await fs.remove(tmpTaskFile);
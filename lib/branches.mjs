@@ -0,0 +1,117 @@
+#!/usr/bin/env zx
+
+/**
+ * Characters that make a branch entry in target.yml a glob pattern
+ */
+const GLOB_CHARS = /[*?[]/;
+
+/**
+ * Convert a glob pattern to a regular expression
+ * `*` matches within one path segment, `**` across segments, `?` a single character and `[...]` a character class.
+ * @param {string} glob - Glob pattern like release-2.*
+ * @returns {RegExp} Anchored regular expression
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '*' && glob[i + 1] === '*') {
+      source += '.*';
+      i++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = glob.indexOf(']', i + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        source += `[${glob.slice(i + 1, end).replace(/^!/, '^')}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^${}()|\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Whether a branch entry from target.yml selects branches by pattern instead of naming one
+ * @param {string|Object} entry - Branch entry: a name, {name, vars}, a glob, a /regex/ or {pattern, latest}
+ * @returns {boolean} True for patterns and selector objects
+ */
+export function isBranchSelector(entry) {
+  if (typeof entry === 'object' && entry !== null) {
+    return 'pattern' in entry;
+  }
+  return typeof entry === 'string' && (GLOB_CHARS.test(entry) || /^\/.+\/$/.test(entry));
+}
+
+/**
+ * Parse a branch pattern entry from target.yml
+ * @param {string|Object} entry - A glob (`release-2.*`), a regex (`/^release-2\.\d+$/`) or {pattern, latest}
+ * @returns {Object} Selector {label, regex, latest} (latest is null to select all matches)
+ * @throws {Error} If the entry is invalid
+ */
+export function parseBranchSelector(entry) {
+  const { pattern, latest = null } = typeof entry === 'string' ? { pattern: entry } : entry;
+
+  if (typeof pattern !== 'string' || !pattern.trim()) {
+    throw new Error(`Invalid branch selector ${JSON.stringify(entry)}: "pattern" must be a glob or /regex/`);
+  }
+  if (latest !== null && (!Number.isInteger(latest) || latest < 1)) {
+    throw new Error(`Invalid branch selector ${JSON.stringify(entry)}: "latest" must be a positive integer`);
+  }
+
+  let regex;
+  if (/^\/.+\/$/.test(pattern)) {
+    try {
+      regex = new RegExp(pattern.slice(1, -1));
+    } catch (error) {
+      throw new Error(`Invalid branch selector ${JSON.stringify(entry)}: ${error.message}`);
+    }
+  } else {
+    regex = globToRegExp(pattern);
+  }
+
+  return {
+    label: latest ? `${pattern} (latest ${latest})` : pattern,
+    regex,
+    latest,
+  };
+}
+
+/**
+ * Compare branch names so that embedded version numbers sort numerically (release-2.9 < release-2.10)
+ * @param {string} a - Branch name
+ * @param {string} b - Branch name
+ * @returns {number} Negative, zero or positive like Array.prototype.sort expects
+ */
+export function compareBranchVersions(a, b) {
+  const partsA = a.split(/(\d+)/);
+  const partsB = b.split(/(\d+)/);
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    if (partsA[i] === partsB[i]) {
+      continue;
+    }
+    // Split with a capture group puts the digit runs at odd indexes
+    if (i % 2 === 1) {
+      return Number(partsA[i]) - Number(partsB[i]) || partsA[i].length - partsB[i].length;
+    }
+    return partsA[i] < partsB[i] ? -1 : 1;
+  }
+  return partsA.length - partsB.length;
+}
+
+/**
+ * Select the branches matching a selector, in version order
+ * @param {string[]} branchNames - Available branch names
+ * @param {Object} selector - Selector from parseBranchSelector
+ * @returns {string[]} Matching branch names, oldest version first (only the latest N if requested)
+ */
+export function selectBranches(branchNames, selector) {
+  const matches = branchNames.filter(name => selector.regex.test(name)).sort(compareBranchVersions);
+  return selector.latest ? matches.slice(-selector.latest) : matches;
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env zx
+
+import { emptyUsage, addUsage, totalTokens } from './usage.mjs';
+
+/**
+ * Limits that can be set for a single task and for the whole run
+ */
+export const BUDGET_LIMITS = ['maxCostUsd', 'maxTokens', 'maxTurns'];
+
+/**
+ * Budget scopes in the bundle config: { "budget": { "task": {...}, "run": {...} } }
+ */
+export const BUDGET_SCOPES = ['task', 'run'];
+
+/**
+ * Validate the budget section of the configuration
+ * @param {Object|undefined} budget - Budget configuration
+ * @throws {Error} If the budget configuration is invalid
+ */
+export function validateBudget(budget) {
+  if (budget === undefined || budget === null) {
+    return;
+  }
+  if (typeof budget !== 'object' || Array.isArray(budget)) {
+    throw new Error('budget must be an object with "task" and/or "run" limits');
+  }
+
+  for (const [scope, limits] of Object.entries(budget)) {
+    if (!BUDGET_SCOPES.includes(scope)) {
+      throw new Error(`budget.${scope} is not supported (use: ${BUDGET_SCOPES.join(', ')})`);
+    }
+    for (const [key, value] of Object.entries(limits || {})) {
+      if (!BUDGET_LIMITS.includes(key)) {
+        throw new Error(`budget.${scope}.${key} is not supported (use: ${BUDGET_LIMITS.join(', ')})`);
+      }
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`budget.${scope}.${key} must be a positive number (got: ${value})`);
+      }
+    }
+  }
+}
+
+/**
+ * Check a usage record against a set of limits
+ * @param {Object} usage - Usage record
+ * @param {Object} limits - {maxCostUsd, maxTokens, maxTurns}
+ * @returns {string|null} Description of the first limit reached, or null
+ */
+function checkLimits(usage, limits = {}) {
+  if (limits.maxCostUsd && usage.costUsd >= limits.maxCostUsd) {
+    return `cost $${usage.costUsd.toFixed(2)} reached limit of $${limits.maxCostUsd.toFixed(2)}`;
+  }
+  if (limits.maxTokens && totalTokens(usage) >= limits.maxTokens) {
+    return `${totalTokens(usage).toLocaleString('en-US')} tokens reached limit of ${limits.maxTokens.toLocaleString('en-US')}`;
+  }
+  if (limits.maxTurns && usage.turns >= limits.maxTurns) {
+    return `${usage.turns} turns reached limit of ${limits.maxTurns}`;
+  }
+  return null;
+}
+
+/**
+ * Tracks agent spend against the per-task and run-wide budget.
+ * Run totals include finished tasks and the live usage of tasks that are still running.
+ */
+export class BudgetTracker {
+  constructor(budget = {}) {
+    this.taskLimits = budget?.task || {};
+    this.runLimits = budget?.run || {};
+    this._completed = emptyUsage();
+    this._active = new Set();
+  }
+
+  /**
+   * Whether any limit is configured
+   * @returns {boolean}
+   */
+  get enabled() {
+    return Object.keys(this.taskLimits).length > 0 || Object.keys(this.runLimits).length > 0;
+  }
+
+  /**
+   * Start counting the live usage of a running task towards the run total
+   * @param {Object} usage - Live usage record (updated by the agent's output parser)
+   * @returns {Function} Call when the task finishes to move its usage into the completed total
+   */
+  track(usage) {
+    this._active.add(usage);
+    return () => {
+      if (this._active.delete(usage)) {
+        addUsage(this._completed, usage);
+      }
+    };
+  }
+
+  /**
+   * Current run-wide usage
+   * @returns {Object} Usage record
+   */
+  totals() {
+    const total = addUsage(emptyUsage(), this._completed);
+    for (const usage of this._active) {
+      addUsage(total, usage);
+    }
+    return total;
+  }
+
+  /**
+   * Check whether a task has used up its own budget
+   * A task's usage covers all of its agent runs (attempts, steps, verification fix-ups), so pass the
+   * usage of the finished runs and the live usage of the current one.
+   * @param {...Object} usages - The task's usage so far, in parts
+   * @returns {string|null} Reason if a task limit was reached, or null
+   */
+  taskLimitReached(...usages) {
+    return checkLimits(usages.reduce((total, usage) => addUsage(total, usage), emptyUsage()), this.taskLimits);
+  }
+
+  /**
+   * Task limits left for the next agent run of a task
+   * @param {Object} usage - Usage of the task's finished agent runs
+   * @returns {Object} {maxCostUsd, maxTokens, maxTurns} reduced by what the task already used
+   */
+  remainingTaskLimits(usage) {
+    const spent = { maxCostUsd: usage.costUsd, maxTokens: totalTokens(usage), maxTurns: usage.turns };
+    return Object.fromEntries(Object.entries(this.taskLimits).map(([key, limit]) => [key, Math.max(0, limit - spent[key])]));
+  }
+
+  /**
+   * Check whether the run budget is used up
+   * @returns {string|null} Reason if a run limit was reached, or null
+   */
+  runLimitReached() {
+    return checkLimits(this.totals(), this.runLimits);
+  }
+}
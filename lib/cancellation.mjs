@@ -0,0 +1,139 @@
+#!/usr/bin/env zx
+
+/**
+ * Grace period between SIGTERM and SIGKILL when stopping an agent process tree
+ */
+const KILL_GRACE_PERIOD_MS = 10000;
+
+/**
+ * Reasons a run can be stopped early
+ */
+export const STOP_REASON = {
+  INTERRUPT: 'interrupt',
+  DEADLINE: 'deadline',
+};
+
+/**
+ * Kill a zx process together with all of its child processes
+ * Sends SIGTERM first and SIGKILL if the process is still alive after the grace period
+ * @param {ProcessPromise} proc - zx process promise
+ * @returns {Promise<void>}
+ */
+export async function killProcessTree(proc) {
+  try {
+    await proc.kill('SIGTERM');
+  } catch {
+    // Process already exited
+    return;
+  }
+
+  const forceKill = setTimeout(() => {
+    proc.kill('SIGKILL').catch(() => {});
+  }, KILL_GRACE_PERIOD_MS);
+  forceKill.unref();
+
+  try {
+    await proc;
+  } catch {
+    // Exit status is handled by the caller
+  } finally {
+    clearTimeout(forceKill);
+  }
+}
+
+/**
+ * Coordinates stopping a run: Ctrl-C / SIGTERM handling, the global run deadline
+ * and killing every agent process that is still running
+ */
+export class RunController {
+  constructor() {
+    this.stopReason = null;
+    this._processes = new Set();
+    this._deadlineTimer = null;
+    this._signalHandler = null;
+  }
+
+  /**
+   * Whether the run has been asked to stop
+   * @returns {boolean}
+   */
+  get stopped() {
+    return this.stopReason !== null;
+  }
+
+  /**
+   * Track a running agent process so it can be killed when the run stops
+   * @param {ProcessPromise} proc - zx process promise
+   * @returns {Function} Call to stop tracking the process
+   */
+  track(proc) {
+    this._processes.add(proc);
+    return () => this._processes.delete(proc);
+  }
+
+  /**
+   * Stop the run: no new tasks start and every running agent is killed
+   * @param {string} reason - One of STOP_REASON
+   * @returns {Promise<void>}
+   */
+  async stop(reason) {
+    if (this.stopped) {
+      return;
+    }
+    this.stopReason = reason;
+
+    const running = [...this._processes];
+    if (running.length > 0) {
+      console.log(`🛑 Killing ${running.length} running agent process(es)...`);
+    }
+    await Promise.all(running.map(proc => killProcessTree(proc)));
+  }
+
+  /**
+   * Stop the run once the global deadline has passed
+   * @param {number} timeoutMs - Run deadline in milliseconds (0 disables it)
+   */
+  startDeadline(timeoutMs) {
+    if (!timeoutMs) {
+      return;
+    }
+    this._deadlineTimer = setTimeout(() => {
+      console.log('');
+      console.log(`⏰ Run deadline reached, stopping remaining tasks...`);
+      this.stop(STOP_REASON.DEADLINE);
+    }, timeoutMs);
+  }
+
+  /**
+   * Handle SIGINT/SIGTERM by stopping the run gracefully
+   * A second signal exits immediately
+   */
+  installSignalHandlers() {
+    this._signalHandler = (signal) => {
+      if (this.stopped) {
+        console.log(`\n⚠️  Received ${signal} again, exiting immediately`);
+        process.exit(130);
+      }
+      console.log('');
+      console.log(`🛑 Received ${signal}, stopping gracefully (press Ctrl-C again to force exit)...`);
+      this.stop(STOP_REASON.INTERRUPT);
+    };
+    process.on('SIGINT', this._signalHandler);
+    process.on('SIGTERM', this._signalHandler);
+  }
+
+  /**
+   * Remove signal handlers and the deadline timer
+   */
+  dispose() {
+    if (this._deadlineTimer) {
+      clearTimeout(this._deadlineTimer);
+      this._deadlineTimer = null;
+    }
+    if (this._signalHandler) {
+      process.off('SIGINT', this._signalHandler);
+      process.off('SIGTERM', this._signalHandler);
+      this._signalHandler = null;
+    }
+  }
+}
@@ -0,0 +1,180 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+import { globToRegExp } from './branches.mjs';
+
+/**
+ * Condition kinds a target can require of a repository's contents
+ * fileExists: a path relative to the repository root exists
+ * fileMatches: {path, pattern} - a file exists and its content matches a regular expression
+ * command: a shell predicate run in the repository root succeeds (exit code 0)
+ * not: negation of another condition
+ */
+export const CONDITION_KINDS = ['fileExists', 'fileMatches', 'command', 'not'];
+
+/**
+ * Compile the exclude list of target.yml or of a target item
+ * Each rule names a repo and/or a branch; both accept the same glob syntax as branch patterns.
+ * @param {Array|undefined} rules - Exclude rules like [{repo: ocm, branch: release-2.*}, {branch: main}]
+ * @param {string} where - Description of the list for error messages
+ * @param {string|null} org - Organization the rules are limited to (item rules), or null to read `org` from each rule
+ * @returns {Object[]} Compiled rules {label, org, repo, branch} where repo and branch are RegExps or null
+ * @throws {Error} If a rule is invalid
+ */
+export function parseExcludeRules(rules, where, org = null) {
+  if (rules === undefined) {
+    return [];
+  }
+  if (!Array.isArray(rules)) {
+    throw new Error(`exclude of ${where} must be a list of {repo, branch} rules`);
+  }
+
+  return rules.map((rule) => {
+    const keys = org ? ['repo', 'branch'] : ['org', 'repo', 'branch'];
+    if (typeof rule !== 'object' || rule === null || Array.isArray(rule)) {
+      throw new Error(`exclude rule of ${where} must be an object like {repo, branch}: ${JSON.stringify(rule)}`);
+    }
+    for (const key of Object.keys(rule)) {
+      if (!keys.includes(key)) {
+        throw new Error(`exclude rule of ${where} has unknown key '${key}' (expected: ${keys.join(', ')})`);
+      }
+      if (typeof rule[key] !== 'string' || !rule[key].trim()) {
+        throw new Error(`exclude rule of ${where}: ${key} must be a name or glob pattern`);
+      }
+    }
+    if (Object.keys(rule).length === 0) {
+      throw new Error(`exclude rule of ${where} must set at least one of ${keys.join(', ')}`);
+    }
+
+    const label = keys.filter(key => rule[key] !== undefined).map(key => `${key} ${rule[key]}`).join(', ');
+    return {
+      label,
+      org: rule.org ?? org,
+      repo: rule.repo !== undefined ? globToRegExp(rule.repo) : null,
+      branch: rule.branch !== undefined ? globToRegExp(rule.branch) : null,
+    };
+  });
+}
+
+/**
+ * Find the exclude rule that matches a target
+ * @param {Object} target - Target {org, repo, branch}
+ * @param {Object[]} rules - Rules from parseExcludeRules
+ * @returns {Object|null} First matching rule, or null if the target is not excluded
+ */
+export function findExcludeRule(target, rules) {
+  return rules.find(rule =>
+    (!rule.org || rule.org === target.org) &&
+    (!rule.repo || rule.repo.test(target.repo)) &&
+    (!rule.branch || rule.branch.test(target.branch))
+  ) || null;
+}
+
+/**
+ * Validate the `when` conditions of a target item
+ * @param {Array|undefined} conditions - Conditions, all of which must hold
+ * @param {string} where - Description of the item for error messages
+ * @throws {Error} If a condition is invalid
+ */
+export function validateConditions(conditions, where) {
+  if (conditions === undefined) {
+    return;
+  }
+  if (!Array.isArray(conditions)) {
+    throw new Error(`when of ${where} must be a list of conditions`);
+  }
+  conditions.forEach(condition => validateCondition(condition, where));
+}
+
+/**
+ * Validate a single condition
+ * @param {Object} condition - Condition with exactly one key of CONDITION_KINDS
+ * @param {string} where - Description of the item for error messages
+ * @throws {Error} If the condition is invalid
+ */
+function validateCondition(condition, where) {
+  const kinds = typeof condition === 'object' && condition !== null ? Object.keys(condition) : [];
+  if (kinds.length !== 1 || !CONDITION_KINDS.includes(kinds[0])) {
+    throw new Error(`Condition of ${where} must have exactly one of ${CONDITION_KINDS.join(', ')}: ${JSON.stringify(condition)}`);
+  }
+
+  const [kind] = kinds;
+  const value = condition[kind];
+  if (kind === 'fileExists' || kind === 'command') {
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new Error(`${kind} condition of ${where} must be a non-empty string`);
+    }
+  } else if (kind === 'fileMatches') {
+    if (typeof value?.path !== 'string' || typeof value?.pattern !== 'string') {
+      throw new Error(`fileMatches condition of ${where} must be {path, pattern}`);
+    }
+    try {
+      new RegExp(value.pattern, 'm');
+    } catch (error) {
+      throw new Error(`fileMatches condition of ${where}: ${error.message}`);
+    }
+  } else {
+    validateCondition(value, where);
+  }
+}
+
+/**
+ * Describe a condition for log messages
+ * @param {Object} condition - Valid condition
+ * @returns {string} Description like "go.mod exists"
+ */
+export function describeCondition(condition) {
+  const [[kind, value]] = Object.entries(condition);
+  switch (kind) {
+    case 'fileExists':
+      return `${value} exists`;
+    case 'fileMatches':
+      return `${value.path} matches /${value.pattern}/`;
+    case 'command':
+      return `\`${value}\` succeeds`;
+    default:
+      return `not (${describeCondition(value)})`;
+  }
+}
+
+/**
+ * Evaluate a single condition against a repository checkout
+ * @param {string} repoPath - Repository root (the task worktree)
+ * @param {Object} condition - Valid condition
+ * @returns {Promise<boolean>} Whether the condition holds
+ */
+async function evaluateCondition(repoPath, condition) {
+  const [[kind, value]] = Object.entries(condition);
+  switch (kind) {
+    case 'fileExists':
+      return fs.pathExists(path.join(repoPath, value));
+    case 'fileMatches': {
+      const file = path.join(repoPath, value.path);
+      if (!(await fs.pathExists(file)) || !(await fs.stat(file)).isFile()) {
+        return false;
+      }
+      return new RegExp(value.pattern, 'm').test(await fs.readFile(file, 'utf-8'));
+    }
+    case 'command': {
+      const result = await $({ cwd: repoPath })`bash -c ${value}`.quiet().nothrow();
+      return result.exitCode === 0;
+    }
+    default:
+      return !(await evaluateCondition(repoPath, value));
+  }
+}
+
+/**
+ * Check a target's conditions against its worktree
+ * @param {string} repoPath - Repository root (the task worktree)
+ * @param {Object[]} conditions - Conditions from target.yml, all of which must hold
+ * @returns {Promise<string|null>} Why the target does not match (the first failing condition), or null if it matches
+ */
+export async function checkConditions(repoPath, conditions = []) {
+  for (const condition of conditions) {
+    if (!(await evaluateCondition(repoPath, condition))) {
+      return `condition not met: ${describeCondition(condition)}`;
+    }
+  }
+  return null;
+}
@@ -2,15 +2,35 @@
 
 import { fs, path } from 'zx';
 import { isValidAgent, SUPPORTED_AGENTS } from './agents/index.mjs';
+import { REPORT_FORMATS } from './report.mjs';
+import { validateBudget } from './budget.mjs';
+import { validateRetryPolicy } from './retry.mjs';
+import { validateVerifyConfig } from './verify.mjs';
+import { validateHooks } from './hooks.mjs';
+import { validateRollout } from './rollout.mjs';
+import { validateSteps } from './steps.mjs';
+import { PROMPT_FILE } from './prompt.mjs';
 
 /**
  * Default configuration values
  */
 const DEFAULT_CONFIG = {
   maxJobs: 4,  // Default concurrency limit (4 parallel jobs)
+  setupJobs: 4,  // Repositories cloned or fetched at the same time during generation
   generateOnly: false,
   runOnly: false,
+  incremental: false,  // Keep existing tasks whose target is still listed when generating
+  plan: false,  // Preview generation without side effects
+  planFile: null,  // Also write the plan as JSON to this file
+  resume: false,
+  retryFailed: false,
+  taskTimeout: 0,  // Per-task timeout in minutes (0 = no limit)
+  runTimeout: 0,  // Deadline for the whole run in minutes (0 = no limit)
+  reportFormats: Object.keys(REPORT_FORMATS),  // Run report formats ('json', 'junit', 'markdown')
+  reportDir: null,  // Run report directory (null = tasks directory)
+  dashboard: false,  // Live terminal dashboard (falls back to line output when not a TTY)
   guideFile: 'GUIDE.md',
+  promptTemplate: null,  // Prompt template for task.md, relative to the bundle (null = prompt.md if the bundle has one)
   agent: 'claude',  // Default execution agent ('claude' or 'opencode')
 };
 
@@ -32,7 +52,51 @@ async function readJsonConfig(configPath) {
 }
 
 /**
- * Load configuration with priority: CLI > Bundle Config > Defaults
+ * Resolve the bundles a bundle inherits from
+ * A bundle extends another with `"extends": "../base"` in its config.json (relative to the bundle directory).
+ * @param {string} bundlePath - Bundle directory
+ * @returns {Promise<string[]>} The bundle followed by its ancestors, nearest first
+ * @throws {Error} If an extended bundle does not exist or the chain has a cycle
+ */
+export async function resolveBundleChain(bundlePath) {
+  const chain = [];
+  let current = bundlePath;
+  while (current) {
+    if (chain.some(dir => path.resolve(dir) === path.resolve(current))) {
+      throw new Error(`Bundle inheritance cycle: ${[...chain, current].join(' → ')}`);
+    }
+    if (chain.length > 0 && !(await fs.pathExists(current))) {
+      throw new Error(`Bundle '${current}' extended by '${chain.at(-1)}' not found`);
+    }
+    chain.push(current);
+
+    const configPath = path.join(current, 'config.json');
+    const { extends: parent } = await readJsonConfig(configPath);
+    if (parent !== undefined && (typeof parent !== 'string' || !parent.trim())) {
+      throw new Error(`extends in ${configPath} must be a bundle directory relative to the bundle (got: ${JSON.stringify(parent)})`);
+    }
+    current = parent ? path.join(current, parent) : null;
+  }
+  return chain;
+}
+
+/**
+ * Find the nearest bundle in an inheritance chain that has a file
+ * @param {string[]} chain - Bundle chain from resolveBundleChain
+ * @param {string} name - File name like GUIDE.md
+ * @returns {Promise<string|null>} File path, or null if no bundle in the chain has the file
+ */
+export async function findBundleFile(chain, name) {
+  for (const dir of chain) {
+    if (await fs.pathExists(path.join(dir, name))) {
+      return path.join(dir, name);
+    }
+  }
+  return null;
+}
+
+/**
+ * Load configuration with priority: CLI > Bundle Config > Extended Bundle Configs > Defaults
  * @param {Object} cliOptions - Command line options
  * @param {string} bundlePath - Bundle directory path (required)
  * @returns {Object} Merged configuration
@@ -41,11 +105,13 @@ export async function loadConfig(cliOptions = {}, bundlePath = null) {
   // Start with defaults
   let config = { ...DEFAULT_CONFIG };
 
-  // Load bundle config.json if bundle specified
+  // Load the config.json of the bundle and the bundles it extends, base first; keys are replaced, not merged
   if (bundlePath) {
-    const bundleConfigPath = path.join(bundlePath, 'config.json');
-    const bundleConfig = await readJsonConfig(bundleConfigPath);
-    config = { ...config, ...bundleConfig };
+    const chain = await resolveBundleChain(bundlePath);
+    for (const dir of [...chain].reverse()) {
+      const { extends: _, ...bundleConfig } = await readJsonConfig(path.join(dir, 'config.json'));
+      config = { ...config, ...bundleConfig };
+    }
   }
 
   // Apply CLI options (highest priority)
@@ -68,11 +134,58 @@ export function validateConfig(config) {
   if (config.generateOnly && config.runOnly) {
     throw new Error('--generate-only and --run-only cannot be used together');
   }
+  if (config.generateOnly && (config.resume || config.retryFailed)) {
+    throw new Error('--resume and --retry-failed cannot be used with --generate-only');
+  }
+  if (config.incremental && config.runOnly) {
+    throw new Error('--incremental only affects generation and cannot be used with --run-only');
+  }
+  if ((config.plan || config.planFile) && (config.runOnly || config.resume || config.retryFailed)) {
+    throw new Error('--plan previews generation and cannot be used with --run-only, --resume or --retry-failed');
+  }
 
-  // Validate maxJobs
+  // Validate maxJobs and setupJobs
   if (!Number.isInteger(config.maxJobs) || config.maxJobs < 1) {
     throw new Error(`--max-jobs must be a positive integer (got: ${config.maxJobs})`);
   }
+  if (!Number.isInteger(config.setupJobs) || config.setupJobs < 1) {
+    throw new Error(`--setup-jobs must be a positive integer (got: ${config.setupJobs})`);
+  }
+
+  // Validate timeouts
+  for (const [key, flag] of [['taskTimeout', '--task-timeout'], ['runTimeout', '--run-timeout']]) {
+    if (typeof config[key] !== 'number' || Number.isNaN(config[key]) || config[key] < 0) {
+      throw new Error(`${flag} must be a non-negative number of minutes (got: ${config[key]})`);
+    }
+  }
+
+  // Validate report formats
+  if (!Array.isArray(config.reportFormats) || config.reportFormats.some(format => !REPORT_FORMATS[format])) {
+    throw new Error(`--report-format must be a comma-separated list of: ${Object.keys(REPORT_FORMATS).join(', ')} (got: '${config.reportFormats}')`);
+  }
+
+  // Validate prompt template
+  if (config.promptTemplate !== null && (typeof config.promptTemplate !== 'string' || !config.promptTemplate.trim())) {
+    throw new Error(`promptTemplate must be a file path relative to the bundle (got: ${JSON.stringify(config.promptTemplate)})`);
+  }
+
+  // Validate budget limits
+  validateBudget(config.budget);
+
+  // Validate retry policy
+  validateRetryPolicy(config.retry);
+
+  // Validate verification commands
+  validateVerifyConfig(config.verify);
+
+  // Validate hooks
+  validateHooks(config.hooks);
+
+  // Validate rollout settings
+  validateRollout(config.rollout);
+
+  // Validate task steps
+  validateSteps(config.steps);
 
   // Validate agent
   if (!isValidAgent(config.agent)) {
@@ -86,9 +199,11 @@ export function validateConfig(config) {
  * Resolve file paths based on bundle configuration
  * @param {string} bundlePath - Bundle directory path (required)
  * @param {string} guideFile - Guide file from config
+ * @param {string|null} promptTemplate - Prompt template from config, relative to the bundle
+ * @param {Object[]|null} steps - Task steps from config {name, prompt, agent}, prompts relative to the bundle
  * @returns {Object} Resolved file paths
  */
-export async function resolveFilePaths(bundlePath, guideFile = 'GUIDE.md') {
+export async function resolveFilePaths(bundlePath, guideFile = 'GUIDE.md', promptTemplate = null, steps = null) {
   // Bundle path is now required
   if (!bundlePath) {
     throw new Error('Bundle path is required. Please specify a bundle using --bundle option.\nExample: zx gen-and-run-tasks.mjs --bundle bundles/my-task');
@@ -99,20 +214,35 @@ export async function resolveFilePaths(bundlePath, guideFile = 'GUIDE.md') {
     throw new Error(`Bundle directory '${bundlePath}' not found`);
   }
 
+  // Files the bundle does not have are taken from the nearest bundle it extends
+  const bundleChain = await resolveBundleChain(bundlePath);
   const paths = {
-    targetFile: path.join(bundlePath, 'target.yml'),
-    taskFile: path.join(bundlePath, 'task.md'),
+    bundleDir: bundlePath,
+    bundleChain,
+    targetFile: (await findBundleFile(bundleChain, 'target.yml')) ?? path.join(bundlePath, 'target.yml'),
+    taskFile: (await findBundleFile(bundleChain, 'task.md')) ?? path.join(bundlePath, 'task.md'),
     guideFile: guideFile,
     outputDir: 'tasks',
     workspaceDir: 'workspace',
+    targetsDir: 'targets',
   };
 
-  // Check if bundle has its own GUIDE.md
-  const bundleGuide = path.join(bundlePath, 'GUIDE.md');
-  if (await fs.pathExists(bundleGuide)) {
+  // Check if the bundle (or a bundle it extends) has its own GUIDE.md
+  const bundleGuide = await findBundleFile(bundleChain, 'GUIDE.md');
+  if (bundleGuide) {
     paths.guideFile = bundleGuide;
     paths.bundleGuide = true;
   }
 
+  // A configured prompt template must exist (checked during generation); otherwise the nearest prompt.md is used if present
+  paths.promptFile = promptTemplate ? path.join(bundlePath, promptTemplate) : await findBundleFile(bundleChain, PROMPT_FILE);
+
+  // Step prompts, like the other bundle files, come from the nearest bundle that has them
+  paths.steps = [];
+  for (const step of steps || []) {
+    const file = (await findBundleFile(bundleChain, step.prompt)) ?? path.join(bundlePath, step.prompt);
+    paths.steps.push({ name: step.name, file, agent: step.agent ?? null });
+  }
+
   return paths;
 }
@@ -0,0 +1,273 @@
+#!/usr/bin/env zx
+
+import { fs, chalk } from 'zx';
+import { formatDuration } from './utils.mjs';
+import { TASK_STATUS, STATUS_ICON } from './result.mjs';
+
+/**
+ * How often the dashboard redraws, in milliseconds
+ */
+const REFRESH_INTERVAL_MS = 1000;
+
+/**
+ * How many bytes from the end of execution.log are read to find the last line
+ */
+const LOG_TAIL_BYTES = 4096;
+
+/**
+ * How many recent console messages are kept below the task table
+ */
+const MAX_EVENTS = 5;
+
+const ROW_STATE = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+};
+
+const STATE_STYLE = {
+  [ROW_STATE.QUEUED]: { icon: '⏳', color: chalk.gray },
+  [ROW_STATE.RUNNING]: { icon: '🔄', color: chalk.cyan },
+  [TASK_STATUS.SUCCESS]: { icon: STATUS_ICON[TASK_STATUS.SUCCESS], color: chalk.green },
+};
+
+/**
+ * Read the last non-empty line of a log file
+ * @param {string} logFile - Path to the log file
+ * @returns {Promise<string>} Last line, or empty string if unavailable
+ */
+async function readLastLogLine(logFile) {
+  let handle;
+  try {
+    handle = await fs.promises.open(logFile, 'r');
+    const { size } = await handle.stat();
+    const length = Math.min(size, LOG_TAIL_BYTES);
+    const buffer = Buffer.alloc(length);
+    await handle.read(buffer, 0, length, size - length);
+    const lines = buffer.toString('utf-8').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    return lines.length > 0 ? lines[lines.length - 1] : '';
+  } catch {
+    return '';
+  } finally {
+    await handle?.close();
+  }
+}
+
+/**
+ * Truncate a string to a maximum display width
+ * @param {string} text - Text to truncate
+ * @param {number} width - Maximum width
+ * @returns {string} Truncated text
+ */
+function truncate(text, width) {
+  if (width <= 0) {
+    return '';
+  }
+  return text.length > width ? `${text.slice(0, Math.max(0, width - 1))}…` : text;
+}
+
+/**
+ * Check whether the live dashboard can be shown on this terminal
+ * @returns {boolean} True if stdout is an interactive terminal
+ */
+export function isDashboardSupported() {
+  return Boolean(process.stdout.isTTY);
+}
+
+/**
+ * Live terminal dashboard for parallel task execution
+ * Shows one row per task (state, elapsed time, last log line), overall progress and ETA.
+ * While active, console output is captured and shown as recent events instead of
+ * interleaving with the table.
+ */
+export class Dashboard {
+  constructor(taskNames) {
+    this.startTime = Date.now();
+    this.rows = new Map(taskNames.map(taskName => [taskName, {
+      taskName,
+      state: ROW_STATE.QUEUED,
+      startTime: null,
+      endTime: null,
+      logFile: null,
+      lastLine: '',
+    }]));
+    this.events = [];
+    this._timer = null;
+    this._renderedLines = 0;
+    this._rendering = Promise.resolve();
+    this._originalConsole = null;
+  }
+
+  /**
+   * Start rendering and capture console output
+   */
+  start() {
+    this._originalConsole = { log: console.log, error: console.error, warn: console.warn };
+    const capture = (...args) => this._addEvent(args.join(' '));
+    console.log = capture;
+    console.error = capture;
+    console.warn = capture;
+
+    process.stdout.write('\x1b[?25l');
+    this._timer = setInterval(() => this.render(), REFRESH_INTERVAL_MS);
+    this.render();
+  }
+
+  /**
+   * Render a final frame, stop refreshing and restore console output
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    await this.render();
+    process.stdout.write('\x1b[?25h');
+
+    if (this._originalConsole) {
+      Object.assign(console, this._originalConsole);
+      this._originalConsole = null;
+    }
+  }
+
+  /**
+   * Mark a task as running
+   * @param {string} taskName - Task directory name
+   * @param {string} logFile - Path to the task's execution log
+   */
+  taskStarted(taskName, logFile) {
+    const row = this.rows.get(taskName);
+    if (row) {
+      Object.assign(row, { state: ROW_STATE.RUNNING, startTime: Date.now(), logFile });
+    }
+  }
+
+  /**
+   * Follow another log of a running task (the log of its next step)
+   * @param {string} taskName - Task directory name
+   * @param {string} logFile - Path to the log to show the last line of
+   */
+  taskLogChanged(taskName, logFile) {
+    const row = this.rows.get(taskName);
+    if (row) {
+      row.logFile = logFile;
+    }
+  }
+
+  /**
+   * Mark a task as finished with the given status
+   * @param {string} taskName - Task directory name
+   * @param {string} status - Final task status (TASK_STATUS value)
+   */
+  taskFinished(taskName, status) {
+    const row = this.rows.get(taskName);
+    if (row) {
+      Object.assign(row, { state: status, endTime: Date.now() });
+    }
+  }
+
+  _addEvent(message) {
+    for (const line of String(message).split('\n')) {
+      if (line.trim()) {
+        this.events.push(line);
+      }
+    }
+    this.events = this.events.slice(-MAX_EVENTS);
+  }
+
+  /**
+   * Order rows for display: running first, then most recently finished, then queued
+   * @returns {Object[]} Sorted rows
+   */
+  _sortedRows() {
+    const rank = (row) => row.state === ROW_STATE.RUNNING ? 0 : (row.state === ROW_STATE.QUEUED ? 2 : 1);
+    return [...this.rows.values()].sort((a, b) =>
+      rank(a) - rank(b) || (b.endTime || 0) - (a.endTime || 0) || a.taskName.localeCompare(b.taskName)
+    );
+  }
+
+  /**
+   * Build the progress line with counts and ETA
+   * @returns {string} Progress line
+   */
+  _progressLine() {
+    const rows = [...this.rows.values()];
+    const total = rows.length;
+    const running = rows.filter(row => row.state === ROW_STATE.RUNNING).length;
+    const queued = rows.filter(row => row.state === ROW_STATE.QUEUED).length;
+    const done = total - running - queued;
+    const failed = rows.filter(row => ![ROW_STATE.QUEUED, ROW_STATE.RUNNING, TASK_STATUS.SUCCESS].includes(row.state)).length;
+
+    const barWidth = 20;
+    const filled = total > 0 ? Math.round((done / total) * barWidth) : barWidth;
+    const bar = '█'.repeat(filled) + '░'.repeat(barWidth - filled);
+
+    const elapsedMs = Date.now() - this.startTime;
+    const eta = done > 0 && done < total
+      ? formatDuration(Math.round((elapsedMs / done) * (total - done) / 1000))
+      : '--';
+
+    return `${bar} ${done}/${total} done · ${running} running · ${queued} queued · ${failed} not successful · elapsed ${formatDuration(Math.floor(elapsedMs / 1000))} · ETA ${eta}`;
+  }
+
+  /**
+   * Redraw the dashboard in place
+   * Renders are serialized so a slow log read never interleaves two frames
+   * @returns {Promise<void>}
+   */
+  render() {
+    this._rendering = this._rendering.then(() => this._draw()).catch(() => {});
+    return this._rendering;
+  }
+
+  /**
+   * Draw one frame, moving the cursor back over the previous frame first
+   * @returns {Promise<void>}
+   */
+  async _draw() {
+    const columns = process.stdout.columns || 120;
+    const terminalRows = process.stdout.rows || 40;
+
+    const rows = this._sortedRows();
+    await Promise.all(rows
+      .filter(row => row.logFile && row.state === ROW_STATE.RUNNING)
+      .map(async (row) => {
+        row.lastLine = await readLastLogLine(row.logFile);
+      }));
+
+    const nameWidth = Math.min(40, Math.max(...rows.map(row => row.taskName.length), 4));
+    const reservedLines = 6 + MAX_EVENTS;
+    const maxTaskLines = Math.max(1, terminalRows - reservedLines);
+    const visible = rows.slice(0, rows.length > maxTaskLines ? maxTaskLines - 1 : maxTaskLines);
+
+    const lines = [chalk.bold('⚡ CodeSweep execution'), truncate(this._progressLine(), columns - 1), ''];
+
+    for (const row of visible) {
+      const style = STATE_STYLE[row.state] || { icon: STATUS_ICON[row.state] || '❔', color: chalk.red };
+      const elapsed = row.startTime
+        ? formatDuration(Math.floor(((row.endTime || Date.now()) - row.startTime) / 1000))
+        : '';
+      const prefix = `${style.icon} ${truncate(row.taskName, nameWidth).padEnd(nameWidth)} ${row.state.padEnd(11)} ${elapsed.padStart(8)}  `;
+      const lastLine = truncate(row.lastLine, columns - prefix.length - 2);
+      lines.push(style.color(prefix) + chalk.gray(lastLine));
+    }
+    if (visible.length < rows.length) {
+      lines.push(chalk.gray(`   … and ${rows.length - visible.length} more`));
+    }
+
+    if (this.events.length > 0) {
+      lines.push('');
+      for (const event of this.events) {
+        lines.push(chalk.gray(truncate(event, columns - 1)));
+      }
+    }
+
+    let output = '';
+    if (this._renderedLines > 0) {
+      output += `\x1b[${this._renderedLines}A`;
+    }
+    output += '\x1b[0J' + lines.join('\n') + '\n';
+    process.stdout.write(output);
+    this._renderedLines = lines.length;
+  }
+}
@@ -2,32 +2,373 @@
 
 import { $, fs, path, chalk } from 'zx';
 import pLimit from 'p-limit';
-import { formatTimestamp, calculateDuration, formatDuration } from './utils.mjs';
+import { formatTimestamp, calculateDuration, formatDuration, retryWithBackoff } from './utils.mjs';
 import { createAgent } from './agents/index.mjs';
+import { RESULT_FILE, TASK_STATUS, STATUS_ICON, readTaskResult } from './result.mjs';
+import { RunState, RESUME_MODE, RUN_STATE_FILE } from './runstate.mjs';
+import { RunController, STOP_REASON, killProcessTree } from './cancellation.mjs';
+import { writeRunReports } from './report.mjs';
+import { Dashboard, isDashboardSupported } from './dashboard.mjs';
+import { emptyUsage, addUsage, formatUsage } from './usage.mjs';
+import { BudgetTracker } from './budget.mjs';
+import { resolveRetryPolicy, attemptLogFile, getRetryReason } from './retry.mjs';
+import { getHeadCommit, getCurrentBranch, resetWorktree } from './repository.mjs';
+import { resolveVerifyConfig, verifyLogFile, readCommandOutput, renderVerifyFailure } from './verify.mjs';
+import { HOOK_POINTS, HOOKS_LOG_FILE, runHook } from './hooks.mjs';
+import { resolveRollout, planWaves, checkWave } from './rollout.mjs';
+import { readTaskManifest, TASK_MANIFEST_FILE } from './manifest.mjs';
+import { stepLogFile } from './steps.mjs';
 
 /**
- * Extract repository paths from task file
+ * How often a running task's live usage is checked against its budget, in milliseconds
+ */
+const BUDGET_CHECK_INTERVAL_MS = 2000;
+
+/**
+ * Convert a timeout in minutes to milliseconds
+ * @param {number} minutes - Timeout in minutes (0 or undefined disables it)
+ * @returns {number} Timeout in milliseconds (0 if disabled)
+ */
+function minutesToMs(minutes) {
+  return minutes ? Math.round(minutes * 60 * 1000) : 0;
+}
+
+/**
+ * Select the budget limits an agent CLI can enforce itself
+ * @param {Object} limits - Budget limits
+ * @param {string[]} supported - Limit names the agent supports
+ * @returns {Object} Subset of limits
+ */
+function pickLimits(limits, supported) {
+  return Object.fromEntries(Object.entries(limits).filter(([key]) => supported.includes(key)));
+}
+
+/**
+ * Extract repository paths from the task manifest
  * @param {string} taskFile - Path to task file
  * @returns {Object} Object with taskDirPath and repoCodePath
  */
 async function extractRepoPaths(taskFile) {
-  const content = await fs.readFile(taskFile, 'utf-8');
+  const { paths } = await readTaskManifest(path.dirname(taskFile));
+  return {
+    taskDirPath: paths.taskDir,
+    repoCodePath: paths.repoPath,
+  };
+}
+
+/**
+ * Extract the target organization, repository and branch from the task manifest
+ * @param {string} taskFile - Path to task file
+ * @returns {Object} Target {org, repo, branch, canary}
+ */
+async function extractTarget(taskFile) {
+  const { target } = await readTaskManifest(path.dirname(taskFile));
+  return {
+    org: target.org,
+    repo: target.repo,
+    branch: target.branch,
+    canary: target.canary === true,
+  };
+}
 
-  // Extract task directory path
-  const taskDirMatch = content.match(/^- \*\*Task Directory\*\*: (.+)$/m);
-  if (!taskDirMatch) {
-    throw new Error('Could not extract task directory from task file');
+/**
+ * Build the result of a task that was never run
+ * @param {string} taskFile - Path to task file
+ * @param {string} status - TASK_STATUS value (not-started or skipped)
+ * @param {string} reason - Why the task was not run
+ * @returns {Promise<Object>} Task result
+ */
+async function notRunResult(taskFile, status, reason) {
+  return {
+    success: false,
+    status,
+    reason,
+    taskName: path.basename(path.dirname(taskFile)),
+    target: await extractTarget(taskFile),
+    duration: 0,
+    formattedDuration: formatDuration(0),
+  };
+}
+
+/**
+ * Context passed to the per-task hooks
+ * @param {string} taskFile - Path to task file
+ * @param {string} bundleDir - Bundle directory
+ * @returns {Object} {bundleDir, taskName, taskDir, repoDir, org, repo, branch}
+ */
+async function taskHookContext(taskFile, bundleDir) {
+  const taskDir = path.resolve(path.dirname(taskFile));
+  const { repoCodePath } = await extractRepoPaths(taskFile);
+  return {
+    bundleDir,
+    taskName: path.basename(taskDir),
+    taskDir,
+    repoDir: repoCodePath,
+    ...(await extractTarget(taskFile)),
+  };
+}
+
+/**
+ * Run an agent (or verification) shell command, enforcing the task timeout and run cancellation
+ * @param {Object} command - Command from agent.buildCommand(), or {shell} for a plain command
+ * @param {Object} options - Execution options
+ * @param {number} options.timeoutMs - Task timeout in milliseconds (0 disables it)
+ * @param {RunController} options.controller - Run controller that may stop the task
+ * @param {BudgetTracker} options.budget - Budget tracker to report live usage to and check task limits against
+ * @param {Object} options.taskUsage - Usage of the task's earlier agent runs, counted towards its limits
+ * @returns {Object} {exitCode, timedOut, budgetExceeded, usage}
+ */
+async function runAgentProcess(command, options = {}) {
+  const { timeoutMs = 0, controller = null, budget = null, taskUsage = emptyUsage() } = options;
+
+  // Use .nothrow() to prevent zx from throwing on non-zero exit codes,
+  // since CLI agents may return non-zero even when the task completes successfully
+  const proc = $`bash -c ${command.shell}`.nothrow();
+  const untrack = controller ? controller.track(proc) : () => {};
+
+  // Agents that print structured output get it parsed live into the log
+  if (command.parser) {
+    proc.stdout.on('data', chunk => command.parser.write(chunk));
   }
 
-  // Extract repository code path (worktree subdirectory)
-  const repoCodeMatch = content.match(/^- \*\*Repository Code\*\*: (.+)$/m);
-  if (!repoCodeMatch) {
-    throw new Error('Could not extract repository code path from task file');
+  let timedOut = false;
+  const timer = timeoutMs
+    ? setTimeout(() => {
+      timedOut = true;
+      killProcessTree(proc);
+    }, timeoutMs)
+    : null;
+
+  // Enforce per-task budget limits the agent CLI cannot enforce itself, using its live usage
+  let budgetExceeded = null;
+  const releaseBudget = budget && command.parser ? budget.track(command.parser.usage) : () => {};
+  const budgetTimer = budget && command.parser
+    ? setInterval(() => {
+      const reason = budget.taskLimitReached(taskUsage, command.parser.usage);
+      if (reason && !budgetExceeded) {
+        budgetExceeded = reason;
+        killProcessTree(proc);
+      }
+    }, BUDGET_CHECK_INTERVAL_MS)
+    : null;
+
+  try {
+    const result = await proc;
+    if (command.parser) {
+      await command.parser.end();
+      if (!budgetExceeded && command.parser.limitReached) {
+        budgetExceeded = `${command.parser.limitReached} limit reached`;
+      }
+    }
+    return { exitCode: result.exitCode, timedOut, budgetExceeded, usage: command.parser?.usage || null };
+  } finally {
+    if (timer) {
+      clearTimeout(timer);
+    }
+    if (budgetTimer) {
+      clearInterval(budgetTimer);
+    }
+    releaseBudget();
+    untrack();
   }
+}
+
+/**
+ * Result of a task stopped by the run controller
+ * @param {RunController} controller - Run controller that stopped the task
+ * @returns {Object} {status, reason}
+ */
+function stoppedResult(controller) {
+  return controller.stopReason === STOP_REASON.DEADLINE
+    ? { status: TASK_STATUS.TIMED_OUT, reason: 'Run deadline reached before the task finished' }
+    : { status: TASK_STATUS.INTERRUPTED, reason: 'Run was interrupted before the task finished' };
+}
+
+/**
+ * Run the agent once on the given task content and determine the outcome
+ * @param {string} taskContent - Task content given to the agent
+ * @param {string} absoluteLogFile - Absolute path of the agent log
+ * @param {Object} invocation - {agent, taskDir, repoCodePath, timeoutMs, controller, budget, taskUsage}
+ *   (taskUsage: usage of the task's agent runs so far, which this run's usage is added to)
+ * @returns {Object} {exitCode, usage, taskResult, errorLog (the CLI's error output)}
+ */
+async function invokeAgent(taskContent, absoluteLogFile, invocation) {
+  const { agent, taskDir, repoCodePath, timeoutMs, controller, budget, taskUsage = emptyUsage() } = invocation;
+
+  // Remove any result left over from a previous run so it cannot be mistaken for this one
+  await fs.remove(path.join(taskDir, RESULT_FILE));
+
+  // The task budget covers all of its runs, so a run does not start once earlier ones used it up
+  const spentReason = budget?.taskLimitReached(taskUsage);
+  if (spentReason) {
+    return {
+      exitCode: null,
+      usage: null,
+      taskResult: { status: TASK_STATUS.BUDGET_EXCEEDED, reason: `Task budget exceeded: ${spentReason}` },
+      errorLog: null,
+    };
+  }
+
+  // Build command using the agent
+  const command = await agent.buildCommand(taskContent, repoCodePath, absoluteLogFile, {
+    limits: budget ? pickLimits(budget.remainingTaskLimits(taskUsage), agent.supportedLimits) : {},
+  });
+
+  // Execute the shell command
+  let result;
+  try {
+    result = await runAgentProcess(command, { timeoutMs, controller, budget, taskUsage });
+  } finally {
+    // Run cleanup if the agent requires it (e.g., removing temp files), even if the agent was killed
+    if (command.cleanup) {
+      await command.cleanup();
+    }
+  }
+
+  let taskResult;
+  if (result.budgetExceeded) {
+    taskResult = {
+      status: TASK_STATUS.BUDGET_EXCEEDED,
+      reason: `Task budget exceeded: ${result.budgetExceeded}`,
+    };
+  } else if (result.timedOut) {
+    taskResult = {
+      status: TASK_STATUS.TIMED_OUT,
+      reason: `Task exceeded timeout of ${formatDuration(Math.round(timeoutMs / 1000))}`,
+    };
+  } else if (controller?.stopped) {
+    taskResult = stoppedResult(controller);
+  } else {
+    if (result.exitCode !== 0) {
+      console.log(`⚠️  ${agent.name} CLI exited with code ${result.exitCode} for ${path.basename(taskDir)} (check ${path.basename(absoluteLogFile)} for details)`);
+    }
+
+    // The exit code is not reliable, so the outcome comes from the result file written by the agent
+    taskResult = await readTaskResult(taskDir);
+    if (taskResult.status === TASK_STATUS.UNKNOWN && result.exitCode !== 0) {
+      taskResult.reason += ` (${agent.name} CLI exited with code ${result.exitCode})`;
+    }
+  }
+
+  if (result.usage) {
+    addUsage(taskUsage, result.usage);
+  }
+  return { exitCode: result.exitCode, usage: result.usage, taskResult, errorLog: command.errorFile || null };
+}
+
+/**
+ * Run the bundle's verification commands in the worktree, stopping at the first failure
+ * Command output is appended to the verification log.
+ * @param {Object} verify - Verify settings {commands, timeout}
+ * @param {string} repoCodePath - Worktree to run the commands in
+ * @param {string} logFile - Verification log file
+ * @param {RunController} controller - Run controller that may stop the commands
+ * @returns {Object} {failure: {command, exitCode, timedOut, output} | null, stopped}
+ */
+async function runVerification(verify, repoCodePath, logFile, controller) {
+  const timeoutMs = minutesToMs(verify.timeout);
+
+  for (const command of verify.commands) {
+    console.log(`🔎 Verifying: ${command}`);
+    await fs.appendFile(logFile, `$ ${command}\n`);
+    const offset = (await fs.stat(logFile)).size;
+
+    const result = await runAgentProcess(
+      { shell: `cd '${repoCodePath}' && { ${command}\n} >> '${logFile}' 2>&1` },
+      { timeoutMs, controller }
+    );
+    await fs.appendFile(logFile, `[exit code ${result.exitCode}${result.timedOut ? ', timed out' : ''}]\n\n`);
+
+    if (controller?.stopped && !result.timedOut) {
+      return { failure: null, stopped: true };
+    }
+    if (result.exitCode !== 0 || result.timedOut) {
+      console.log(`❌ Verification failed: ${command}`);
+      return {
+        failure: {
+          command,
+          exitCode: result.exitCode,
+          timedOut: result.timedOut,
+          output: await readCommandOutput(logFile, offset),
+        },
+        stopped: false,
+      };
+    }
+  }
+
+  return { failure: null, stopped: false };
+}
+
+/**
+ * Run the steps of a multi-step task one after another in the same worktree
+ * Each step has its own log and outcome; once a step does not succeed, the remaining steps are skipped.
+ * The task outcome is that of the failing step, or of the last step with the commits and files of all steps.
+ * @param {Object[]} steps - Steps {name, file, agent} (agent: agent instance, or null for the task's agent)
+ * @param {string} absoluteLogFile - Absolute path of the task log; step logs are written next to it
+ * @param {Object} invocation - {agent, taskDir, repoCodePath, timeoutMs, controller, budget}
+ * @param {Function} onStep - Called with (step, stepLog) before each step runs
+ * @param {string} appendix - Appended to every step prompt (e.g. a verification failure to fix)
+ * @returns {Object} {exitCode, usage, taskResult, logFile and errorLog (of the last step run), steps (outcome of each step)}
+ */
+async function runSteps(steps, absoluteLogFile, invocation, onStep, appendix = '') {
+  const stepResults = [];
+  let usage = null;
+  let last = null;
+  let failed = null;
+  const commits = new Set();
+  const changedFiles = new Set();
+
+  for (const [index, step] of steps.entries()) {
+    const label = `Step ${index + 1}/${steps.length} (${step.name})`;
+    if (failed) {
+      stepResults.push({ name: step.name, status: TASK_STATUS.SKIPPED, reason: `Skipped: ${failed.label} did not succeed` });
+      continue;
+    }
+
+    const agent = step.agent || invocation.agent;
+    const stepLog = stepLogFile(absoluteLogFile, index, step);
+    console.log(`🪜 ${label}: running ${agent.name} CLI... (output saved to ${path.basename(stepLog)})`);
+    await onStep(step, stepLog);
+
+    const startTime = Date.now();
+    const run = await invokeAgent((await fs.readFile(step.file, 'utf-8')) + appendix, stepLog, { ...invocation, agent });
+    const duration = calculateDuration(startTime, Date.now());
+    usage = run.usage ? addUsage(usage || emptyUsage(), run.usage) : usage;
+    (run.taskResult.commits || []).forEach(commit => commits.add(commit));
+    (run.taskResult.changedFiles || []).forEach(file => changedFiles.add(file));
+
+    stepResults.push({
+      name: step.name,
+      agent: agent.name,
+      status: run.taskResult.status,
+      reason: run.taskResult.reason,
+      prUrl: run.taskResult.prUrl || null,
+      duration,
+      logFile: stepLog,
+      usage: run.usage,
+    });
+    last = { ...run, logFile: stepLog };
+
+    if (run.taskResult.status === TASK_STATUS.SUCCESS) {
+      console.log(`✅ ${label} completed in ${formatDuration(duration)}`);
+    } else {
+      console.log(`${STATUS_ICON[run.taskResult.status]} ${label} ${run.taskResult.status}: ${run.taskResult.reason}`);
+      failed = { label, taskResult: run.taskResult };
+    }
+  }
+
+  const prUrl = stepResults.map(step => step.prUrl).filter(Boolean).at(-1) || null;
+  const taskResult = failed
+    ? { ...failed.taskResult, prUrl, reason: `${failed.label} ${failed.taskResult.status}: ${failed.taskResult.reason}` }
+    : { ...last.taskResult, prUrl };
 
   return {
-    taskDirPath: taskDirMatch[1].trim(),
-    repoCodePath: repoCodeMatch[1].trim(),
+    exitCode: last.exitCode,
+    usage,
+    taskResult: { ...taskResult, commits: [...commits], changedFiles: [...changedFiles] },
+    logFile: last.logFile,
+    errorLog: last.errorLog,
+    steps: stepResults,
   };
 }
 
@@ -36,12 +377,22 @@ async function extractRepoPaths(taskFile) {
  * @param {string} taskFile - Path to task file
  * @param {string} logFile - Path to log file
  * @param {BaseAgent} agent - Agent instance to use for execution
- * @returns {Object} Task result {success, duration, startTime, endTime}
+ * @param {Object} options - Execution options
+ * @param {number} options.timeoutMs - Task timeout in milliseconds (0 disables it)
+ * @param {RunController} options.controller - Run controller that may stop the task
+ * @param {BudgetTracker} options.budget - Budget tracker enforcing per-task limits
+ * @param {Object} options.verify - Verification settings {commands, timeout, fixOnFailure}
+ * @param {Object[]} options.steps - Steps run in order instead of task.md (see runSteps)
+ * @param {Function} options.onStep - Called with (step, stepLog) before each step runs
+ * @param {Object} options.taskUsage - Usage of the task's earlier attempts, counted towards its budget
+ * @returns {Object} Task result {success, status, reason, prUrl, commits, changedFiles, duration, steps, ...}
  */
-export async function runTask(taskFile, logFile, agent) {
+export async function runTask(taskFile, logFile, agent, options = {}) {
+  const { timeoutMs = 0, controller = null, budget = null, verify = null, steps = [], onStep = () => {}, taskUsage = emptyUsage() } = options;
   // Extract task name from directory name (parent of task.md)
   const taskDir = path.dirname(taskFile);
   const taskName = path.basename(taskDir);
+  const target = await extractTarget(taskFile);
   const startTimestamp = formatTimestamp();
   const startTime = Date.now();
 
@@ -64,8 +415,6 @@ export async function runTask(taskFile, logFile, agent) {
     console.log(`📁 Task directory: ${taskDirPath}`);
     console.log(`📁 Working in repository code: ${repoCodePath}`);
 
-    // Run agent CLI with output saved to log
-    console.log(`🤖 Running ${agent.name} CLI... (output saved to log)`);
     const taskContent = await fs.readFile(taskFile, 'utf-8');
 
     // Ensure log file directory exists before writing (should be task directory)
@@ -74,21 +423,64 @@ export async function runTask(taskFile, logFile, agent) {
     // Convert log file to absolute path for use in subshell
     const absoluteLogFile = path.resolve(logFile);
 
-    // Build command using the agent
-    const command = await agent.buildCommand(taskContent, repoCodePath, absoluteLogFile);
+    // Run agent CLI with output saved to log; multi-step tasks run their step prompts in order instead of task.md
+    const invocation = { agent, taskDir, repoCodePath, timeoutMs, controller, budget, taskUsage };
+    let result;
+    if (steps.length > 0) {
+      console.log(`🪜 Running ${steps.length} steps: ${steps.map(step => step.name).join(' → ')}`);
+      result = await runSteps(steps, absoluteLogFile, invocation, onStep);
+    } else {
+      console.log(`🤖 Running ${agent.name} CLI... (output saved to log)`);
+      result = { ...(await invokeAgent(taskContent, absoluteLogFile, invocation)), logFile };
+    }
+    let { taskResult } = result;
 
-    // Execute the shell command
-    // Use .nothrow() to prevent zx from throwing on non-zero exit codes,
-    // since CLI agents may return non-zero even when the task completes successfully
-    const result = await $`bash -c ${command.shell}`.nothrow();
+    // Check the agent's work with the bundle's verification commands
+    let verifyLog = null;
+    if (verify?.commands.length > 0 && taskResult.status === TASK_STATUS.SUCCESS) {
+      verifyLog = verifyLogFile(absoluteLogFile);
+      await fs.remove(verifyLog);
+      let verification = await runVerification(verify, repoCodePath, verifyLog, controller);
 
-    // Run cleanup if the agent requires it (e.g., removing temp files)
-    if (command.cleanup) {
-      await command.cleanup();
-    }
+      if (verification.failure && verify.fixOnFailure) {
+        const fixLog = absoluteLogFile.replace(/(\.log)?$/, '.fix.log');
+        const failureSection = renderVerifyFailure(verification.failure, taskResult.prUrl || null);
+        let fix;
+        if (steps.length > 0) {
+          console.log(`🔧 Verification failed for ${taskName}, re-running the steps with the failure output...`);
+          fix = await runSteps(steps, fixLog, invocation, onStep, failureSection);
+          result.steps = fix.steps;
+        } else {
+          console.log(`🔧 Verification failed for ${taskName}, re-running ${agent.name} with the failure output...`);
+          fix = await invokeAgent(taskContent + failureSection, fixLog, invocation);
+        }
+        result.exitCode = fix.exitCode;
+        result.errorLog = fix.errorLog;
+        result.usage = result.usage || fix.usage ? addUsage(addUsage(emptyUsage(), result.usage), fix.usage) : null;
+        // The fix builds on the first pass: keep its pull request, commits and changed files
+        taskResult = {
+          ...fix.taskResult,
+          prUrl: fix.taskResult.prUrl || taskResult.prUrl || null,
+          commits: [...new Set([...(taskResult.commits || []), ...(fix.taskResult.commits || [])])],
+          changedFiles: [...new Set([...(taskResult.changedFiles || []), ...(fix.taskResult.changedFiles || [])])],
+        };
+        if (taskResult.status === TASK_STATUS.SUCCESS) {
+          verification = await runVerification(verify, repoCodePath, verifyLog, controller);
+        }
+      }
 
-    if (result.exitCode !== 0) {
-      console.log(`⚠️  ${agent.name} CLI exited with code ${result.exitCode} for ${taskName} (check execution.log for details)`);
+      if (verification.stopped) {
+        taskResult = stoppedResult(controller);
+      } else if (verification.failure && taskResult.status === TASK_STATUS.SUCCESS) {
+        const { command, exitCode, timedOut } = verification.failure;
+        taskResult = {
+          ...taskResult,
+          status: TASK_STATUS.FAILED,
+          reason: timedOut
+            ? `Verification command \`${command}\` timed out (agent reported: ${taskResult.reason})`
+            : `Verification command \`${command}\` failed with exit code ${exitCode} (agent reported: ${taskResult.reason})`,
+        };
+      }
     }
 
     const endTimestamp = formatTimestamp();
@@ -98,17 +490,37 @@ export async function runTask(taskFile, logFile, agent) {
 
     console.log(`🏁 Finished at: ${endTimestamp}`);
     console.log(`⏱️  Duration: ${formattedDuration}`);
-    console.log(`✅ Completed: ${taskName}`);
-    console.log(`📄 Log: ${logFile}`);
+    if (taskResult.status === TASK_STATUS.SUCCESS) {
+      console.log(`✅ Completed: ${taskName}`);
+    } else {
+      console.log(`${STATUS_ICON[taskResult.status]} ${taskResult.status}: ${taskName} - ${taskResult.reason}`);
+    }
+    if (taskResult.prUrl) {
+      console.log(`🔗 PR: ${taskResult.prUrl}`);
+    }
+    if (result.usage) {
+      console.log(`💰 Usage: ${formatUsage(result.usage)}`);
+    }
+    console.log(`📄 Log: ${result.logFile}`);
+    if (verifyLog) {
+      console.log(`📄 Verification log: ${verifyLog}`);
+    }
 
     return {
-      success: true,
+      success: taskResult.status === TASK_STATUS.SUCCESS,
+      ...taskResult,
       taskName,
+      target,
       startTimestamp,
       endTimestamp,
       duration,
       formattedDuration,
-      logFile,
+      logFile: result.logFile,
+      errorLog: result.errorLog,
+      verifyLog,
+      exitCode: result.exitCode,
+      usage: result.usage,
+      ...(result.steps && { steps: result.steps }),
     };
   } catch (error) {
     const endTimestamp = formatTimestamp();
@@ -122,7 +534,10 @@ export async function runTask(taskFile, logFile, agent) {
 
     return {
       success: false,
+      status: TASK_STATUS.FAILED,
+      reason: error.message,
       taskName,
+      target,
       startTimestamp,
       endTimestamp,
       duration,
@@ -133,15 +548,124 @@ export async function runTask(taskFile, logFile, agent) {
 }
 
 
+/**
+ * Run a task, retrying transient agent failures according to the retry policy
+ * Each attempt writes its own log file, and the worktree is reset to its starting commit before a retry
+ * (so a retried multi-step task runs all of its steps again).
+ * @param {string} taskFile - Path to task file
+ * @param {string} logFile - Path to the log file of the first attempt
+ * @param {BaseAgent} agent - Agent instance to use for execution
+ * @param {Object} options - Execution options passed to runTask, plus:
+ * @param {Object} options.retryPolicy - Retry policy (see DEFAULT_RETRY_POLICY)
+ * @param {Function} options.onAttempt - Called with (attempt, logFile) before each attempt
+ * @returns {Object} Result of the last attempt, with the number of attempts made
+ */
+export async function runTaskWithRetry(taskFile, logFile, agent, options = {}) {
+  const { retryPolicy = resolveRetryPolicy(), onAttempt = () => {}, controller = null } = options;
+  const taskName = path.basename(path.dirname(taskFile));
+
+  // Remember the starting commit so a retry can begin from a clean worktree
+  let repoCodePath = null;
+  let startCommit = null;
+  let startBranch = null;
+  if (retryPolicy.maxAttempts > 1) {
+    try {
+      ({ repoCodePath } = await extractRepoPaths(taskFile));
+      startCommit = await getHeadCommit(repoCodePath);
+      startBranch = await getCurrentBranch(repoCodePath);
+    } catch {
+      // Without a starting commit the task is retried without resetting the worktree
+    }
+  }
+
+  // Usage of every attempt counts towards the task, not just the last one
+  const usage = agent.reportsUsage ? emptyUsage() : null;
+  // Usage of every agent run of the task (attempts, steps, fix-ups), which its budget limits apply to
+  const taskUsage = emptyUsage();
+  let lastResult;
+  try {
+    return await retryWithBackoff(
+      async (attemptIndex) => {
+        const attempt = attemptIndex + 1;
+        const attemptLog = attemptLogFile(logFile, attempt);
+        let result;
+        try {
+          await onAttempt(attempt, attemptLog);
+          result = await runTask(taskFile, attemptLog, agent, { ...options, taskUsage });
+        } catch (error) {
+          // runTask reports its own failures; this is one around it (e.g. recording the attempt), which is not retried
+          console.log(`❌ ${taskName}: attempt ${attempt} could not run: ${error.message}`);
+          lastResult = {
+            taskName,
+            target: null,
+            duration: 0,
+            formattedDuration: formatDuration(0),
+            ...lastResult,
+            success: false,
+            status: TASK_STATUS.FAILED,
+            reason: error.message,
+            error: error.message,
+            attempts: attempt,
+          };
+          return lastResult;
+        }
+        lastResult = { ...result, usage: usage ? addUsage(usage, result.usage) : result.usage, attempts: attempt };
+        if (attempt >= retryPolicy.maxAttempts || controller?.stopped) {
+          return lastResult;
+        }
+
+        const retryReason = await getRetryReason(lastResult, retryPolicy);
+        if (!retryReason) {
+          return lastResult;
+        }
+        throw new Error(`${taskName} attempt ${attempt} failed with a retryable error (${retryReason})`);
+      },
+      {
+        maxRetries: retryPolicy.maxAttempts - 1,
+        initialDelay: retryPolicy.initialDelay * 1000,
+        maxDelay: retryPolicy.maxDelay * 1000,
+        operationName: `Task ${taskName}`,
+        onRetry: async () => {
+          if (controller?.stopped) {
+            throw new Error('Run stopped before retry');
+          }
+          if (startCommit && !(await resetWorktree(repoCodePath, startCommit, startBranch))) {
+            throw new Error('Could not reset worktree for retry');
+          }
+        },
+      }
+    );
+  } catch (error) {
+    // Out of attempts (or the retry could not be prepared): report the last attempt
+    console.log(`🔁 ${taskName}: ${error.message}`);
+    return lastResult;
+  }
+}
+
 /**
  * Execute tasks with concurrency control using git worktrees
  * Logs are saved to execution.log in each task directory
  * @param {string[]} taskFiles - Array of task file paths
  * @param {number} maxJobs - Maximum concurrent jobs
  * @param {BaseAgent} agent - Agent instance to use for execution
- * @returns {Object} Execution results {successful, failed, results}
+ * @param {Object} options - Execution options
+ * @param {RunState} options.runState - Run state manifest to record task progress in
+ * @param {RunController} options.controller - Run controller used to stop the run early
+ * @param {number} options.taskTimeoutMs - Per-task timeout in milliseconds (0 disables it)
+ * @param {boolean} options.dashboard - Show the live terminal dashboard (ignored when stdout is not a TTY)
+ * @param {BudgetTracker} options.budget - Budget tracker; queued tasks are skipped once the run budget is used up
+ * @param {Object} options.retryPolicy - Retry policy for transient agent failures
+ * @param {Object} options.verify - Verification commands run after the agent
+ * @param {Object} options.hooks - Bundle hooks (beforeTask, afterTask)
+ * @param {string} options.bundleDir - Bundle directory, where hooks run
+ * @param {Object} options.rollout - Rollout settings; tasks run in waves and stop at the failure-rate threshold
+ * @param {Map<string, Object>} options.taskOptions - Per-task {agent, timeoutMs, verify, retryPolicy} replacing the run-wide settings, and {steps}
+ * @returns {Object} Execution results {successful, failed, unknown, counts, usage, results}
  */
-export async function executeWithConcurrency(taskFiles, maxJobs = 4, agent) {
+export async function executeWithConcurrency(taskFiles, maxJobs = 4, agent, options = {}) {
+  const { runState = null, controller = null, taskTimeoutMs = 0, budget = null, retryPolicy = resolveRetryPolicy(), verify = null, hooks = null, bundleDir = null, rollout = null, taskOptions = new Map() } = options;
+  let haltReason = null;
+
   if (maxJobs === 1) {
     console.log(`🔄 Running in sequential mode (concurrency limit: 1)`);
   } else {
@@ -152,61 +676,227 @@ export async function executeWithConcurrency(taskFiles, maxJobs = 4, agent) {
   // Create concurrency limiter
   const limit = pLimit(maxJobs);
 
-  // Track all results
+  // Fall back to plain line output when stdout is not a terminal (e.g. CI)
+  let dashboard = null;
+  if (options.dashboard) {
+    if (isDashboardSupported()) {
+      dashboard = new Dashboard(taskFiles.map(taskFile => path.basename(path.dirname(taskFile))));
+    } else {
+      console.log('ℹ️  Dashboard disabled: stdout is not a TTY');
+    }
+  }
+
+  // Track all results, counted by status
   const allResults = [];
-  let successful = 0;
-  let failed = 0;
+  const counts = Object.fromEntries(Object.values(TASK_STATUS).map(status => [status, 0]));
 
   // Process all tasks with concurrency limit
-  const taskPromises = taskFiles.map((taskFile) => {
-    return limit(async () => {
-      const taskDir = path.dirname(taskFile);
-      const taskName = path.basename(taskDir);
-      const logFile = path.join(taskDir, 'execution.log');
-
-      console.log(`🚀 Starting task: ${taskName}`);
-
-      const result = await runTask(taskFile, logFile, agent);
-
-      if (result.success) {
-        successful++;
-        console.log(`✅ Task completed: ${taskName}`);
-      } else {
-        failed++;
-        console.log(`❌ Task failed: ${taskName}`);
+  // Run one task once a concurrency slot is free
+  const runTaskFile = (taskFile) => limit(async () => {
+    const taskDir = path.dirname(taskFile);
+    const taskName = path.basename(taskDir);
+    const logFile = path.join(taskDir, 'execution.log');
+
+    // Queued tasks are not started once the run has been stopped or the rollout halted
+    if (controller?.stopped || haltReason) {
+      counts[TASK_STATUS.NOT_STARTED]++;
+      dashboard?.taskFinished(taskName, TASK_STATUS.NOT_STARTED);
+      let reason = `Rollout halted: ${haltReason}`;
+      if (controller?.stopped) {
+        reason = controller.stopReason === STOP_REASON.DEADLINE ? 'Run deadline reached' : 'Run was interrupted';
       }
+      // Recorded, so --resume and --retry-failed run the task later
+      const notRun = await notRunResult(taskFile, TASK_STATUS.NOT_STARTED, reason);
+      await runState?.markFinished(taskName, notRun);
+      return notRun;
+    }
 
-      return result;
-    });
+    // Queued tasks are skipped once the run budget is used up
+    const budgetReason = budget?.runLimitReached();
+    if (budgetReason) {
+      counts[TASK_STATUS.SKIPPED]++;
+      dashboard?.taskFinished(taskName, TASK_STATUS.SKIPPED);
+      console.log(`💸 Skipping ${taskName}: run budget exhausted (${budgetReason})`);
+      const notRun = await notRunResult(taskFile, TASK_STATUS.SKIPPED, `Skipped (budget): ${budgetReason}`);
+      await runState?.markFinished(taskName, notRun);
+      return notRun;
+    }
+
+    console.log(`🚀 Starting task: ${taskName}`);
+    if (runState) {
+      await runState.markStarted(taskName);
+    }
+
+    // A failing beforeTask hook fails the task without running the agent
+    const hookContext = hooks ? await taskHookContext(taskFile, bundleDir) : {};
+    const hookOptions = { logFile: path.join(taskDir, HOOKS_LOG_FILE), controller };
+    let result = null;
+    try {
+      await runHook(hooks, HOOK_POINTS.BEFORE_TASK, hookContext, hookOptions);
+    } catch (error) {
+      const notRun = controller?.stopped
+        ? stoppedResult(controller)
+        : { status: TASK_STATUS.FAILED, reason: `Not run: ${error.message}` };
+      result = { ...(await notRunResult(taskFile, notRun.status, notRun.reason)), error: error.message };
+    }
+
+    if (!result) {
+      // Target overrides from target.yml replace the run-wide settings for this task
+      const settings = { agent, timeoutMs: taskTimeoutMs, verify, retryPolicy, ...taskOptions.get(taskFile) };
+      result = await runTaskWithRetry(taskFile, logFile, settings.agent, {
+        timeoutMs: settings.timeoutMs,
+        controller,
+        budget,
+        verify: settings.verify,
+        retryPolicy: settings.retryPolicy,
+        steps: settings.steps,
+        onStep: (step, stepLog) => dashboard?.taskLogChanged(taskName, stepLog),
+        onAttempt: async (attempt, attemptLog) => {
+          dashboard?.taskStarted(taskName, attemptLog);
+          if (attempt > 1) {
+            console.log(`🔁 Retrying task ${taskName} (attempt ${attempt}/${settings.retryPolicy.maxAttempts})`);
+            await runState?.recordAttempt(taskName);
+          }
+        },
+      });
+      result.agent = settings.agent.name;
+    }
+
+    // The afterTask hook sees the outcome; if it fails, the task fails
+    try {
+      await runHook(hooks, HOOK_POINTS.AFTER_TASK, {
+        ...hookContext,
+        status: result.status,
+        reason: result.reason || '',
+        prUrl: result.prUrl || '',
+        logFile: result.logFile ? path.resolve(result.logFile) : '',
+      }, hookOptions);
+    } catch (error) {
+      result = {
+        ...result,
+        success: false,
+        status: TASK_STATUS.FAILED,
+        reason: `${error.message} (task outcome: ${result.status}${result.reason ? ` - ${result.reason}` : ''})`,
+      };
+    }
+
+    if (runState) {
+      await runState.markFinished(taskName, result);
+    }
+
+    counts[result.status]++;
+    dashboard?.taskFinished(taskName, result.status);
+    if (result.status === TASK_STATUS.SUCCESS) {
+      console.log(`✅ Task completed: ${taskName}`);
+    } else {
+      console.log(`${STATUS_ICON[result.status]} Task ${result.status}: ${taskName}`);
+    }
+
+    return result;
   });
 
+  // Without rollout settings all tasks form a single wave
+  const flaggedCanaries = new Set();
+  if (rollout) {
+    for (const taskFile of taskFiles) {
+      if ((await extractTarget(taskFile)).canary) {
+        flaggedCanaries.add(taskFile);
+      }
+    }
+  }
+  const waves = planWaves(taskFiles, rollout, flaggedCanaries);
+
   // Wait for all tasks to complete
   console.log(`⏳ Waiting for all ${taskFiles.length} tasks to complete...`);
-  const results = await Promise.all(taskPromises);
-  allResults.push(...results);
+  dashboard?.start();
+  try {
+    for (const [waveIndex, wave] of waves.entries()) {
+      if (rollout && !haltReason) {
+        const label = waveIndex === 0 && (flaggedCanaries.size > 0 || rollout.canary > 0) ? 'canary wave' : 'wave';
+        console.log(`🌊 Starting ${label} ${waveIndex + 1}/${waves.length} (${wave.length} tasks)`);
+      }
+
+      const waveResults = await Promise.all(wave.map(runTaskFile));
+      allResults.push(...waveResults);
+
+      // Halt the rollout when too many tasks of this wave failed; later waves are not started
+      if (rollout && !haltReason && !controller?.stopped) {
+        const waveFailure = checkWave(waveResults, rollout);
+        if (waveFailure) {
+          haltReason = `wave ${waveIndex + 1}: ${waveFailure}`;
+          console.log(`🚧 Rollout halted after wave ${waveIndex + 1}: ${waveFailure}`);
+        }
+      }
+    }
+  } finally {
+    await dashboard?.stop();
+  }
 
-  console.log('🎉 All tasks completed');
+  if (controller?.stopped) {
+    console.log('🛑 Run stopped early');
+  } else if (haltReason) {
+    console.log(`🚧 Rollout halted (${haltReason})`);
+  } else {
+    console.log('🎉 All tasks completed');
+  }
 
   // Print results summary
   console.log('');
   console.log('📊 EXECUTION RESULTS');
   console.log('════════════════════════════════════════');
 
-  for (const result of allResults) {
-    if (result.success) {
-      console.log(`✅ ${result.taskName} (${result.formattedDuration}) - 📄 Log: ${result.logFile}`);
-    } else {
-      console.log(`❌ ${result.taskName} (${result.formattedDuration}) - 📄 Log: ${result.logFile || 'N/A'}`);
-      if (result.error) {
-        console.log(`   Error: ${result.error}`);
+  // Tasks that never started share their reason (e.g. the rollout halt); they are listed on their own below
+  const notStarted = allResults.filter(result => result.status === TASK_STATUS.NOT_STARTED);
+  for (const result of allResults.filter(result => result.status !== TASK_STATUS.NOT_STARTED)) {
+    console.log(`${STATUS_ICON[result.status]} ${result.taskName} (${result.formattedDuration}) - 📄 Log: ${result.logFile || 'N/A'}`);
+    if (result.usage) {
+      console.log(`   Usage: ${formatUsage(result.usage)}`);
+    }
+    if (result.status === TASK_STATUS.SUCCESS) {
+      if (result.prUrl) {
+        console.log(`   PR: ${result.prUrl}`);
+      }
+    } else if (result.reason) {
+      console.log(`   Reason: ${result.reason}`);
+    }
+  }
+  if (notStarted.length > 0) {
+    console.log('');
+    console.log(`${STATUS_ICON[TASK_STATUS.NOT_STARTED]} Not started (${notStarted.length}):`);
+    for (const reason of new Set(notStarted.map(result => result.reason))) {
+      console.log(`   Reason: ${reason}`);
+      for (const result of notStarted.filter(entry => entry.reason === reason)) {
+        console.log(`   - ${result.taskName}`);
       }
     }
   }
 
+  const summary = Object.entries(counts)
+    .filter(([status, count]) => count > 0 || [TASK_STATUS.SUCCESS, TASK_STATUS.FAILED].includes(status))
+    .map(([status, count]) => `${count} ${status}`)
+    .join(', ');
+
+  // Sum agent usage over all tasks that reported it
+  const reportedUsage = allResults.filter(result => result.usage);
+  const usage = reportedUsage.length > 0
+    ? reportedUsage.reduce((total, result) => addUsage(total, result.usage), emptyUsage())
+    : null;
+
   console.log('');
-  console.log(`📊 Result summary: ${successful} successful, ${failed} failed (total processed: ${allResults.length})`);
+  console.log(`📊 Result summary: ${summary} (total processed: ${allResults.length})`);
+  if (usage) {
+    console.log(`💰 Total usage: ${formatUsage(usage)}`);
+  }
 
-  return { successful, failed, results: allResults };
+  return {
+    successful: counts[TASK_STATUS.SUCCESS],
+    failed: counts[TASK_STATUS.FAILED],
+    unknown: counts[TASK_STATUS.UNKNOWN],
+    counts,
+    usage,
+    haltReason,
+    results: allResults,
+  };
 }
 
 /**
@@ -214,7 +904,19 @@ export async function executeWithConcurrency(taskFiles, maxJobs = 4, agent) {
  * Logs are saved to execution.log in each task directory
  * @param {string} outputDir - Output directory containing task files
  * @param {Object} config - Configuration object
- * @returns {Object} Execution results {successful, failed, totalTasks}
+ * @param {boolean} config.resume - Skip tasks that already succeeded in a previous run
+ * @param {boolean} config.retryFailed - Only re-run tasks that failed, timed out, were interrupted or had an unknown outcome
+ * @param {number} config.taskTimeout - Per-task timeout in minutes (0 disables it)
+ * @param {number} config.runTimeout - Deadline for the whole run in minutes (0 disables it)
+ * @param {string[]} config.reportFormats - Run report formats to write (json, junit, markdown)
+ * @param {string} config.reportDir - Directory for run reports (defaults to the tasks directory)
+ * @param {boolean} config.dashboard - Show the live terminal dashboard
+ * @param {Object} config.budget - Spend limits {task: {...}, run: {...}} with maxCostUsd, maxTokens, maxTurns
+ * @param {Object} config.retry - Retry policy {maxAttempts, initialDelay, maxDelay, exitCodes, logPatterns}
+ * @param {Object|string[]} config.verify - Verification commands {commands, timeout, fixOnFailure}
+ * @param {Object} config.hooks - Bundle hooks (beforeTask, afterTask, afterRun)
+ * @param {Object} config.rollout - Staged rollout {canary, waveSize, maxFailureRate}
+ * @returns {Object} Execution results {successful, failed, unknown, skipped, previouslySucceeded (skipped tasks that had succeeded), counts, usage, stopReason, totalTasks, results, reportFiles}
  */
 export async function executeTasks(outputDir, config) {
   // Check if tasks directory exists
@@ -246,13 +948,69 @@ export async function executeTasks(outputDir, config) {
 
   console.log(`📁 Found ${taskFiles.length} task directories to process`);
 
-  // Create the agent instance
+  // Every task needs a usable task.json manifest; check them all before anything runs
+  const manifests = new Map();
+  const manifestErrors = [];
+  for (const taskFile of taskFiles) {
+    try {
+      manifests.set(taskFile, await readTaskManifest(path.dirname(taskFile)));
+    } catch (error) {
+      manifestErrors.push(error.message);
+    }
+  }
+  if (manifestErrors.length > 0) {
+    throw new Error(`${manifestErrors.length} of ${taskFiles.length} tasks have no usable ${TASK_MANIFEST_FILE}:\n   ${manifestErrors.join('\n   ')}`);
+  }
+
+  // Load the run state manifest and pick the tasks to run
+  const runState = await RunState.load(outputDir);
+  runState.register(taskFiles.map(taskFile => path.basename(path.dirname(taskFile))));
+  await runState.save();
+
+  const resumeMode = config.retryFailed ? RESUME_MODE.RETRY_FAILED : (config.resume ? RESUME_MODE.RESUME : null);
+  const tasksToRun = taskFiles.filter(taskFile => runState.shouldRun(path.basename(path.dirname(taskFile)), resumeMode));
+  const skipped = taskFiles.length - tasksToRun.length;
+  // --retry-failed also skips tasks that never started, which leave the run unfinished
+  const previouslySucceeded = taskFiles
+    .filter(taskFile => !tasksToRun.includes(taskFile))
+    .filter(taskFile => runState.get(path.basename(path.dirname(taskFile)))?.status === TASK_STATUS.SUCCESS)
+    .length;
+
+  if (resumeMode) {
+    console.log(`♻️  ${resumeMode} mode: ${tasksToRun.length} tasks to run, ${skipped} skipped based on ${path.join(outputDir, RUN_STATE_FILE)}`);
+    if (tasksToRun.length === 0) {
+      console.log('✅ Nothing left to run');
+    }
+  }
+
+  // Target overrides recorded in the task manifests
+  const taskSettings = new Map();
+  for (const taskFile of tasksToRun) {
+    const { overrides } = manifests.get(taskFile);
+    if (Object.keys(overrides).length > 0) {
+      taskSettings.set(taskFile, overrides);
+    }
+  }
+
+  // Create the agent instances: the configured one plus any a target overrides
   const agent = createAgent(config.agent);
   console.log(`🤖 Using execution agent: ${agent.name}`);
+  const agents = new Map([[agent.name, agent]]);
+  const agentNames = [
+    ...[...taskSettings.values()].map(settings => settings.agent),
+    ...tasksToRun.flatMap(taskFile => manifests.get(taskFile).steps.map(step => step.agent)),
+  ];
+  for (const name of agentNames) {
+    if (name && !agents.has(name)) {
+      agents.set(name, createAgent(name));
+    }
+  }
 
-  // Detect agent path early to fail fast if not found
-  const agentPath = await agent.getPath();
-  console.log(`🔍 Detected ${agent.name} CLI at: ${agentPath}`);
+  // Detect agent paths early to fail fast if not found
+  for (const instance of agents.values()) {
+    const agentPath = await instance.getPath();
+    console.log(`🔍 Detected ${instance.name} CLI at: ${agentPath}`);
+  }
 
   const executionStartTimestamp = formatTimestamp();
   const executionStartTime = Date.now();
@@ -261,21 +1019,159 @@ export async function executeTasks(outputDir, config) {
   console.log(`🕰️  Execution started at: ${executionStartTimestamp}`);
   console.log(`📁 Logs will be saved to execution.log in each task directory`);
 
+  if (config.taskTimeout) {
+    console.log(`⏰ Per-task timeout: ${formatDuration(Math.round(config.taskTimeout * 60))}`);
+  }
+  if (config.runTimeout) {
+    console.log(`⏰ Run deadline: ${formatDuration(Math.round(config.runTimeout * 60))}`);
+  }
+
+  // Enforce agent spend limits from the bundle config
+  const budget = new BudgetTracker(config.budget);
+  if (budget.enabled) {
+    console.log(`💸 Budget: task ${JSON.stringify(budget.taskLimits)}, run ${JSON.stringify(budget.runLimits)}`);
+    if (!agent.reportsUsage) {
+      console.log(`⚠️  ${agent.name} does not report usage; only limits it supports itself (${agent.supportedLimits.join(', ') || 'none'}) will be enforced`);
+    }
+  }
+
+  const retryPolicy = resolveRetryPolicy(config.retry);
+  if (retryPolicy.maxAttempts > 1) {
+    console.log(`🔁 Retrying transient failures up to ${retryPolicy.maxAttempts} attempts per task`);
+  }
+
+  const verify = resolveVerifyConfig(config.verify);
+  if (verify.commands.length > 0) {
+    console.log(`🔎 Verifying each task with: ${verify.commands.join(' && ')}`);
+  }
+
+  const rollout = resolveRollout(config.rollout);
+  if (rollout) {
+    const canary = rollout.canary ? `flagged targets or the first ${rollout.canary} tasks` : 'flagged targets';
+    console.log(`🌊 Rollout: canary ${canary}, then waves of ${rollout.waveSize || 'all remaining'} tasks, halting above ${Math.round(rollout.maxFailureRate * 100)}% failures`);
+  }
+
+  // Only the settings a target overrides change; retry policies merge with the bundle's
+  const taskOptions = new Map();
+  for (const [taskFile, settings] of taskSettings) {
+    const options = {};
+    if (settings.agent) {
+      options.agent = agents.get(settings.agent);
+    }
+    if (settings.taskTimeout !== undefined) {
+      options.timeoutMs = minutesToMs(settings.taskTimeout);
+    }
+    if (settings.verify !== undefined) {
+      options.verify = resolveVerifyConfig(settings.verify);
+    }
+    if (settings.retry) {
+      options.retryPolicy = resolveRetryPolicy({ ...config.retry, ...settings.retry });
+    }
+    taskOptions.set(taskFile, options);
+  }
+  if (taskOptions.size > 0) {
+    console.log(`⚙️  ${taskOptions.size} tasks use target overrides from ${TASK_MANIFEST_FILE}`);
+  }
+
+  // Multi-step tasks run the steps recorded in their manifest; a step without an agent uses the task's
+  const steppedTasks = tasksToRun.filter(taskFile => manifests.get(taskFile).steps.length > 0);
+  for (const taskFile of steppedTasks) {
+    const steps = manifests.get(taskFile).steps.map(step => ({ ...step, agent: step.agent ? agents.get(step.agent) : null }));
+    taskOptions.set(taskFile, { ...taskOptions.get(taskFile), steps });
+  }
+  if (steppedTasks.length > 0) {
+    console.log(`🪜 ${steppedTasks.length} tasks run in steps, each step logged to execution.step-<n>-<name>.log`);
+  }
+
+  // Hooks run in the bundle directory
+  const bundleDir = config.bundle ? path.resolve(config.bundle) : process.cwd();
+
+  // Stop gracefully on Ctrl-C / SIGTERM or when the run deadline passes
+  const controller = new RunController();
+  controller.installSignalHandlers();
+  controller.startDeadline(minutesToMs(config.runTimeout));
+
   // Execute all tasks with concurrency control
-  const result = await executeWithConcurrency(taskFiles, config.maxJobs, agent);
+  let result;
+  try {
+    result = await executeWithConcurrency(tasksToRun, config.maxJobs, agent, {
+      runState,
+      controller,
+      taskTimeoutMs: minutesToMs(config.taskTimeout),
+      dashboard: config.dashboard,
+      budget,
+      retryPolicy,
+      verify,
+      hooks: config.hooks,
+      bundleDir,
+      rollout,
+      taskOptions,
+    });
+  } finally {
+    controller.dispose();
+  }
 
   const executionEndTimestamp = formatTimestamp();
   const executionEndTime = Date.now();
   const totalDuration = calculateDuration(executionStartTime, executionEndTime);
   const formattedTotalDuration = formatDuration(totalDuration);
 
-  return {
+  // Tasks skipped in resume mode are still listed in the report with their previous outcome
+  const skippedResults = await Promise.all(
+    taskFiles
+      .filter(taskFile => !tasksToRun.includes(taskFile))
+      .map(async (taskFile) => {
+        const previous = runState.get(path.basename(path.dirname(taskFile)));
+        const skippedResult = await notRunResult(taskFile, TASK_STATUS.SKIPPED, `Skipped by ${resumeMode} (previous status: ${previous.status})`);
+        return { ...skippedResult, prUrl: previous.prUrl || null };
+      })
+  );
+
+  const executionResult = {
     successful: result.successful,
     failed: result.failed,
+    unknown: result.unknown,
+    skipped,
+    previouslySucceeded,
+    counts: { ...result.counts, [TASK_STATUS.SKIPPED]: result.counts[TASK_STATUS.SKIPPED] + skipped },
+    usage: result.usage,
+    stopReason: controller.stopReason,
+    haltReason: result.haltReason,
+    results: [...result.results, ...skippedResults].sort((a, b) => a.taskName.localeCompare(b.taskName)),
     totalTasks: taskFiles.length,
     startTimestamp: executionStartTimestamp,
     endTimestamp: executionEndTimestamp,
     duration: formattedTotalDuration,
     outputDir: outputDir,
+    bundle: config.bundle,
+    agent: agent.name,
   };
+
+  // Write the structured run report
+  const reportDir = config.reportDir || outputDir;
+  executionResult.reportFiles = await writeRunReports(executionResult, reportDir, config.reportFormats);
+  console.log('');
+  for (const reportFile of executionResult.reportFiles) {
+    console.log(`📝 Report written: ${reportFile}`);
+  }
+
+  // A failing afterRun hook makes the run fail
+  try {
+    await runHook(config.hooks, HOOK_POINTS.AFTER_RUN, {
+      bundleDir,
+      outputDir: path.resolve(outputDir),
+      reportDir: path.resolve(reportDir),
+      reportFiles: executionResult.reportFiles.map(reportFile => path.resolve(reportFile)),
+      totalTasks: executionResult.totalTasks,
+      successful: executionResult.successful,
+      failed: executionResult.failed,
+      stopReason: executionResult.stopReason || '',
+      counts: executionResult.counts,
+    });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    executionResult.hookError = error.message;
+  }
+
+  return executionResult;
 }
@@ -0,0 +1,111 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+
+/**
+ * Points in the run where a bundle can hook in a shell command
+ */
+export const HOOK_POINTS = {
+  BEFORE_GENERATE: 'beforeGenerate',  // Before any task is generated; failure aborts generation
+  AFTER_WORKTREE: 'afterWorktree',  // After a task's worktree is created; failure drops that task
+  BEFORE_TASK: 'beforeTask',  // Before the agent runs; failure fails the task without running it
+  AFTER_TASK: 'afterTask',  // After the task finished (any outcome); failure fails the task
+  AFTER_RUN: 'afterRun',  // After the run and its reports; failure makes the run exit non-zero
+};
+
+/**
+ * Log file for per-task hook output, in the task directory
+ */
+export const HOOKS_LOG_FILE = 'hooks.log';
+
+/**
+ * Validate the hooks section of the configuration
+ * @param {Object|undefined} hooks - Hooks configuration {hookPoint: shellCommand}
+ * @throws {Error} If the hooks configuration is invalid
+ */
+export function validateHooks(hooks) {
+  if (hooks === undefined || hooks === null) {
+    return;
+  }
+  if (typeof hooks !== 'object' || Array.isArray(hooks)) {
+    throw new Error('hooks must be an object mapping hook points to shell commands');
+  }
+
+  const points = Object.values(HOOK_POINTS);
+  for (const [point, command] of Object.entries(hooks)) {
+    if (!points.includes(point)) {
+      throw new Error(`hooks.${point} is not a hook point (use: ${points.join(', ')})`);
+    }
+    if (typeof command !== 'string' || !command.trim()) {
+      throw new Error(`hooks.${point} must be a non-empty shell command`);
+    }
+  }
+}
+
+/**
+ * Environment variables describing the hook context
+ * Top-level string, number and boolean fields become CODESWEEP_<FIELD_NAME> (e.g. taskDir -> CODESWEEP_TASK_DIR).
+ * @param {string} point - Hook point
+ * @param {Object} context - Hook context
+ * @returns {Object} Environment variables
+ */
+function hookEnv(point, context) {
+  const env = { CODESWEEP_HOOK: point };
+  for (const [key, value] of Object.entries(context)) {
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      env[`CODESWEEP_${key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase()}`] = String(value);
+    }
+  }
+  return env;
+}
+
+/**
+ * Run a bundle hook if one is configured for the given point
+ * The command runs with bash in the bundle directory. The context is passed as CODESWEEP_* environment
+ * variables and as JSON on stdin ({hook, ...context}).
+ * @param {Object|undefined} hooks - Hooks configuration
+ * @param {string} point - Hook point (see HOOK_POINTS)
+ * @param {Object} context - Hook context (bundleDir plus task or run metadata)
+ * @param {Object} options - Hook options
+ * @param {string} options.logFile - Append the hook output to this file instead of printing it
+ * @param {RunController} options.controller - Run controller that may stop the hook
+ * @returns {Promise<boolean>} True if a hook ran, false if none is configured
+ * @throws {Error} If the hook exits with a non-zero code
+ */
+export async function runHook(hooks, point, context, options = {}) {
+  const command = hooks?.[point];
+  if (!command) {
+    return false;
+  }
+
+  const { logFile = null, controller = null } = options;
+  const label = context.taskName ? `${point} hook for ${context.taskName}` : `${point} hook`;
+  console.log(`🪝 Running ${label}: ${command}`);
+
+  const proc = $({
+    cwd: context.bundleDir || process.cwd(),
+    env: { ...process.env, ...hookEnv(point, context) },
+    input: JSON.stringify({ hook: point, ...context }),
+  })`bash -c ${command} 2>&1`.nothrow();
+  const untrack = controller ? controller.track(proc) : () => {};
+
+  let result;
+  try {
+    result = await proc;
+  } finally {
+    untrack();
+  }
+
+  const output = result.stdout.trimEnd();
+  if (logFile) {
+    await fs.ensureDir(path.dirname(logFile));
+    await fs.appendFile(logFile, `$ [${point}] ${command}\n${output ? `${output}\n` : ''}[exit code ${result.exitCode}]\n\n`);
+  } else if (output) {
+    console.log(output.split('\n').map(line => `   ${line}`).join('\n'));
+  }
+
+  if (result.exitCode !== 0) {
+    throw new Error(`${point} hook failed with exit code ${result.exitCode}${logFile ? ` (see ${logFile})` : ''}`);
+  }
+  return true;
+}
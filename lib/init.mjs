@@ -0,0 +1,231 @@
+#!/usr/bin/env zx
+
+import { fs, path, question } from 'zx';
+import YAML from 'yaml';
+import { isValidAgent, SUPPORTED_AGENTS } from './agents/index.mjs';
+import { getRemoteUrl } from './repository.mjs';
+import { SCHEMA_DIR, BUNDLE_SCHEMAS } from './schema.mjs';
+
+/**
+ * task.md of a new bundle: a starting point showing the sections and variables a task usually has
+ */
+const TASK_TEMPLATE = `# Task Description
+
+Describe the change to make in {{ org }}/{{ repo }} on the {{ branch }} branch.
+
+## Requirements
+
+- What to change
+- How to check the change (build, tests)
+- When to give up and report the task as failed
+`;
+
+/**
+ * Split a comma-separated flag or answer into its entries
+ * @param {string|undefined} value - Value like "a, b,c"
+ * @returns {string[]} Entries (empty if the value is empty)
+ */
+function parseList(value) {
+  return value === undefined || value === true ? [] : String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Ask a question on the terminal
+ * @param {string} label - Question
+ * @param {string} fallback - Answer used when the reply is empty (optional)
+ * @returns {Promise<string>} Reply or fallback
+ */
+async function ask(label, fallback = '') {
+  const answer = (await question(`❓ ${label}${fallback ? ` [${fallback}]` : ''}: `)).trim();
+  return answer || fallback;
+}
+
+/**
+ * Split a repository URL or path into org and repo (the last two path segments)
+ * @param {string} url - e.g. https://github.com/stolostron/ocm.git or git@github.com:stolostron/ocm.git
+ * @returns {Object|null} {org, repo}, or null if the URL has no org/repo part
+ */
+export function parseRepositoryUrl(url) {
+  const match = url.match(/[:/]([^/:]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return match ? { org: match[1], repo: match[2] } : null;
+}
+
+/**
+ * List the repositories checked out in the workspace, by the upstream (or else origin) remote
+ * @param {string} workspaceDir - Workspace directory
+ * @returns {Promise<Object[]>} [{org, repo}] sorted by org and repo
+ */
+export async function listWorkspaceRepositories(workspaceDir) {
+  if (!(await fs.pathExists(workspaceDir))) {
+    return [];
+  }
+
+  const repositories = [];
+  for (const name of (await fs.readdir(workspaceDir)).sort()) {
+    const repoDir = path.join(workspaceDir, name);
+    if (!(await fs.pathExists(path.join(repoDir, '.git')))) {
+      continue;
+    }
+    const url = (await getRemoteUrl(repoDir, 'upstream')) ?? (await getRemoteUrl(repoDir, 'origin'));
+    const repository = url ? parseRepositoryUrl(url) : null;
+    if (!repository) {
+      console.warn(`⚠️  Warning: Skipping ${repoDir}: no upstream or origin remote to take the organization from`);
+      continue;
+    }
+    repositories.push(repository);
+  }
+  return repositories.sort((a, b) => a.org.localeCompare(b.org) || a.repo.localeCompare(b.repo));
+}
+
+/**
+ * Group repositories into target.yml items, one per organization
+ * @param {string[]} repos - Repository names, `repo` or `org/repo`
+ * @param {string|undefined} org - Organization of plain repository names
+ * @returns {Object[]} [{org, repos}]
+ * @throws {Error} If a plain repository name has no organization
+ */
+function groupRepositories(repos, org) {
+  const items = new Map();
+  for (const entry of repos) {
+    const [repoOrg, repo] = entry.includes('/') ? entry.split('/', 2) : [org, entry];
+    if (!repoOrg || !repo) {
+      throw new Error(`Repository '${entry}' has no organization: pass --org or write it as org/repo`);
+    }
+    items.set(repoOrg, [...(items.get(repoOrg) || []), repo]);
+  }
+  return [...items.entries()].map(([name, names]) => ({ org: name, repos: names }));
+}
+
+/**
+ * Render target.yml for a new bundle
+ * @param {Object[]} items - [{org, repos}]
+ * @param {string[]} branches - Branch names or patterns for every item
+ * @param {string} schemaPath - target.yml schema, relative to the bundle
+ * @returns {string} target.yml content
+ */
+function renderTargetFile(items, branches, schemaPath) {
+  const scalar = value => YAML.stringify(value).trim();
+  const lines = [`# yaml-language-server: $schema=${schemaPath}`, 'target:'];
+  for (const { org, repos } of items) {
+    lines.push(`  - org: ${scalar(org)}`);
+    lines.push(`    repos: [${repos.map(scalar).join(', ')}]`);
+    lines.push(`    branches: [${branches.map(scalar).join(', ')}]`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Create a new bundle directory
+ * Values missing from the options are asked for on the terminal when `interactive` is set;
+ * otherwise org and repos are required (unless the targets are seeded) and the rest use defaults.
+ * @param {string} bundlePath - Bundle directory to create (must not exist or be empty)
+ * @param {Object} options - Bundle settings
+ * @param {string} options.org - Organization of plain repository names
+ * @param {string} options.repos - Comma-separated repositories (`repo` or `org/repo`)
+ * @param {string} options.branches - Comma-separated branch names or patterns (default: main)
+ * @param {string} options.agent - Agent written to config.json (optional)
+ * @param {number} options.maxJobs - Concurrency limit written to config.json (optional)
+ * @param {boolean} options.guide - Also create a bundle GUIDE.md from the root guide
+ * @param {string} options.from - Copy target.yml from this bundle instead of building it
+ * @param {boolean} options.fromWorkspace - Build the targets from the repositories in the workspace
+ * @param {string} options.workspaceDir - Workspace directory (default: workspace)
+ * @param {string} options.guideFile - Guide copied into the bundle (default: GUIDE.md)
+ * @param {boolean} options.interactive - Ask for missing values (default: when stdin is a terminal)
+ * @returns {Promise<string[]>} Files created
+ * @throws {Error} If the bundle exists or the options are invalid
+ */
+export async function initBundle(bundlePath, options = {}) {
+  const {
+    workspaceDir = 'workspace',
+    guideFile = 'GUIDE.md',
+    interactive = Boolean(process.stdin.isTTY),
+  } = options;
+
+  if ((await fs.pathExists(bundlePath)) && (await fs.readdir(bundlePath)).length > 0) {
+    throw new Error(`${bundlePath} already exists and is not empty`);
+  }
+  if (options.from && (options.fromWorkspace || options.org || options.repos || options.branches)) {
+    throw new Error('--from copies target.yml as is and cannot be combined with --from-workspace, --org, --repos or --branches');
+  }
+  if (options.fromWorkspace && (options.org || options.repos)) {
+    throw new Error('--from-workspace takes the repositories from the workspace and cannot be combined with --org or --repos');
+  }
+
+  // Targets: copied from another bundle, taken from the workspace, or built from the flags and answers
+  let targetContent = null;
+  let items = null;
+  if (options.from) {
+    const sourceFile = path.join(options.from, 'target.yml');
+    if (!(await fs.pathExists(sourceFile))) {
+      throw new Error(`${sourceFile} not found`);
+    }
+    targetContent = await fs.readFile(sourceFile, 'utf-8');
+  } else if (options.fromWorkspace) {
+    const repositories = await listWorkspaceRepositories(workspaceDir);
+    if (repositories.length === 0) {
+      throw new Error(`No repositories found in ${workspaceDir}/`);
+    }
+    items = groupRepositories(repositories.map(({ org, repo }) => `${org}/${repo}`));
+  } else {
+    const org = options.org || (interactive ? await ask('Organization') : undefined);
+    let repos = parseList(options.repos);
+    if (repos.length === 0 && interactive) {
+      repos = parseList(await ask('Repositories (comma-separated, org/repo for other organizations)'));
+    }
+    if (repos.length === 0) {
+      throw new Error('No repositories given. Pass --repos (and --org), --from BUNDLE or --from-workspace');
+    }
+    items = groupRepositories(repos, org);
+  }
+
+  if (items) {
+    let branches = parseList(options.branches);
+    if (branches.length === 0) {
+      branches = parseList(interactive ? await ask('Branches (comma-separated, patterns like release-2.* allowed)', 'main') : 'main');
+    }
+    const schemaPath = path.relative(bundlePath, path.join(SCHEMA_DIR, BUNDLE_SCHEMAS['target.yml']));
+    targetContent = renderTargetFile(items, branches, schemaPath);
+  }
+
+  let agent = options.agent;
+  let maxJobs = options.maxJobs;
+  let guide = options.guide;
+  if (interactive) {
+    agent ??= (await ask(`Agent (${SUPPORTED_AGENTS.join(', ')}, empty for the default)`)) || undefined;
+    maxJobs ??= parseInt(await ask('Max parallel jobs (empty for the default)')) || undefined;
+    guide ??= /^y/i.test(await ask('Create a bundle GUIDE.md from the root guide? (y/N)'));
+  }
+  if (agent !== undefined && !isValidAgent(agent)) {
+    throw new Error(`--agent must be one of: ${SUPPORTED_AGENTS.join(', ')} (got: '${agent}')`);
+  }
+  if (maxJobs !== undefined && (!Number.isInteger(maxJobs) || maxJobs < 1)) {
+    throw new Error(`--max-jobs must be a positive integer (got: ${maxJobs})`);
+  }
+
+  if (guide && !(await fs.pathExists(guideFile))) {
+    throw new Error(`${guideFile} not found, cannot copy it into the bundle`);
+  }
+
+  await fs.ensureDir(bundlePath);
+  const created = [];
+  const write = async (name, content) => {
+    await fs.writeFile(path.join(bundlePath, name), content, 'utf-8');
+    created.push(path.join(bundlePath, name));
+  };
+
+  await write('target.yml', targetContent);
+  await write('task.md', TASK_TEMPLATE);
+  if (guide) {
+    await write('GUIDE.md', await fs.readFile(guideFile, 'utf-8'));
+  }
+  if (agent !== undefined || maxJobs !== undefined) {
+    const config = {
+      $schema: path.relative(bundlePath, path.join(SCHEMA_DIR, BUNDLE_SCHEMAS['config.json'])),
+      ...(agent !== undefined && { agent }),
+      ...(maxJobs !== undefined && { maxJobs }),
+    };
+    await write('config.json', JSON.stringify(config, null, 2) + '\n');
+  }
+
+  return created;
+}
@@ -0,0 +1,136 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+import { RESULT_FILE } from './result.mjs';
+import { pickOverrides } from './overrides.mjs';
+import { resolveVerifyConfig } from './verify.mjs';
+import { resolveRetryPolicy } from './retry.mjs';
+import { isValidAgent, SUPPORTED_AGENTS } from './agents/index.mjs';
+import { resolveProviderSettings } from './providers/index.mjs';
+
+/**
+ * Name of the task manifest written next to each task.md
+ */
+export const TASK_MANIFEST_FILE = 'task.json';
+
+/**
+ * Task manifest format version (bumped on incompatible changes)
+ */
+export const TASK_MANIFEST_VERSION = 1;
+
+/**
+ * Identify the bundle tasks are generated from
+ * @param {string} bundleDir - Bundle directory
+ * @returns {Promise<Object>} {name, path, commit} (commit is null when the bundle is not in a git repository)
+ */
+export async function getBundleIdentity(bundleDir) {
+  const result = await $`git -C ${bundleDir} rev-parse HEAD`.quiet().nothrow();
+  return {
+    name: path.basename(path.resolve(bundleDir)),
+    path: path.resolve(bundleDir),
+    commit: result.exitCode === 0 ? result.stdout.trim() : null,
+  };
+}
+
+/**
+ * Build the manifest of a generated task
+ * `overrides` are the target overrides the executor applies; `agent` and `config` record the settings
+ * the task resolved to at generation time, for tooling (the executor's own options may differ at run time;
+ * the agent that actually ran is recorded in run-state.json and the run reports).
+ * `steps` lists the step prompts the executor runs in order instead of task.md (empty for single-step bundles).
+ * `provider` is the resolved git hosting provider the `pr` command opens the pull request on.
+ * @param {Object} target - Target {org, repo, branch, canary, vars, overrides}
+ * @param {Object} task - {id, number, taskDirPath, worktreeRepoPath, steps: [{name, file, agent}]}
+ * @param {Object} bundle - Bundle identity from getBundleIdentity
+ * @param {Object} config - Configuration used for generation
+ * @returns {Object} Task manifest
+ */
+export function buildTaskManifest(target, task, bundle, config = {}) {
+  const { overrides = {} } = target;
+  const taskDir = path.resolve(task.taskDirPath);
+
+  return {
+    version: TASK_MANIFEST_VERSION,
+    id: task.id,
+    number: task.number,
+    generatedAt: new Date().toISOString(),
+    target: {
+      org: target.org,
+      repo: target.repo,
+      branch: target.branch,
+      canary: target.canary === true,
+      vars: target.vars || {},
+    },
+    paths: {
+      taskDir,
+      taskFile: path.join(taskDir, 'task.md'),
+      repoPath: path.resolve(task.worktreeRepoPath),
+      resultFile: path.join(taskDir, RESULT_FILE),
+    },
+    bundle,
+    provider: resolveProviderSettings(overrides.provider),
+    agent: overrides.agent ?? config.agent ?? null,
+    steps: (task.steps || []).map(step => ({ name: step.name, file: path.resolve(step.file), agent: step.agent ?? null })),
+    config: {
+      taskTimeout: overrides.taskTimeout ?? config.taskTimeout ?? 0,
+      verify: resolveVerifyConfig(overrides.verify !== undefined ? overrides.verify : config.verify),
+      retry: resolveRetryPolicy({ ...config.retry, ...overrides.retry }),
+    },
+    overrides,
+  };
+}
+
+/**
+ * Write the manifest of a task into its directory
+ * @param {string} taskDir - Task directory
+ * @param {Object} manifest - Manifest from buildTaskManifest
+ * @returns {Promise<void>}
+ */
+export async function writeTaskManifest(taskDir, manifest) {
+  await fs.writeFile(path.join(taskDir, TASK_MANIFEST_FILE), JSON.stringify(manifest, null, 2) + '\n', 'utf-8');
+}
+
+/**
+ * Read and check the manifest of a task
+ * @param {string} taskDir - Task directory
+ * @returns {Promise<Object>} Task manifest
+ * @throws {Error} If the manifest is missing, not valid JSON, from another format version or incomplete
+ */
+export async function readTaskManifest(taskDir) {
+  const manifestFile = path.join(taskDir, TASK_MANIFEST_FILE);
+  if (!(await fs.pathExists(manifestFile))) {
+    throw new Error(`${manifestFile} not found: the task was generated by an older version or its generation did not finish. Regenerate the tasks (run without --run-only, --resume or --retry-failed)`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await fs.readFile(manifestFile, 'utf-8'));
+  } catch (error) {
+    throw new Error(`${manifestFile} is not valid JSON: ${error.message}`);
+  }
+
+  if (manifest?.version !== TASK_MANIFEST_VERSION) {
+    throw new Error(`${manifestFile} has manifest version ${manifest?.version ?? '(none)'}, but this version reads version ${TASK_MANIFEST_VERSION}. Regenerate the tasks`);
+  }
+  for (const field of ['id', 'target.org', 'target.repo', 'target.branch', 'paths.taskDir', 'paths.repoPath']) {
+    const value = field.split('.').reduce((object, key) => object?.[key], manifest);
+    if (typeof value !== 'string' || !value) {
+      throw new Error(`${manifestFile} is missing ${field}`);
+    }
+  }
+  manifest.overrides = pickOverrides(manifest.overrides || {}, manifestFile);
+  manifest.provider ??= resolveProviderSettings(manifest.overrides.provider);
+
+  // Tasks generated before steps existed run task.md as a single step
+  manifest.steps ??= [];
+  if (!Array.isArray(manifest.steps) || manifest.steps.some(step => typeof step?.name !== 'string' || typeof step?.file !== 'string')) {
+    throw new Error(`${manifestFile} has invalid steps: each step needs a name and a file`);
+  }
+  for (const step of manifest.steps) {
+    if (step.agent !== null && step.agent !== undefined && !isValidAgent(step.agent)) {
+      throw new Error(`${manifestFile}: agent of step ${step.name} must be one of: ${SUPPORTED_AGENTS.join(', ')} (got: '${step.agent}')`);
+    }
+  }
+
+  return manifest;
+}
@@ -0,0 +1,46 @@
+#!/usr/bin/env zx
+
+import { isValidAgent, SUPPORTED_AGENTS } from './agents/index.mjs';
+import { validateVerifyConfig } from './verify.mjs';
+import { validateRetryPolicy } from './retry.mjs';
+import { validateProvider } from './providers/index.mjs';
+
+/**
+ * Settings a target.yml entry can override for its org/repo/branch group
+ * Generation records them in each task's manifest (see lib/manifest.mjs), so --run-only uses the same settings.
+ */
+export const TARGET_OVERRIDE_KEYS = ['taskFile', 'guideFile', 'agent', 'taskTimeout', 'verify', 'retry', 'provider'];
+
+/**
+ * Validate and collect the overrides of a target.yml entry
+ * @param {Object} item - Target entry
+ * @param {string} where - Description of the entry for error messages
+ * @returns {Object} Overrides that are set (may be empty)
+ * @throws {Error} If an override is invalid
+ */
+export function pickOverrides(item, where) {
+  const overrides = Object.fromEntries(
+    TARGET_OVERRIDE_KEYS.filter(key => item[key] !== undefined).map(key => [key, item[key]])
+  );
+
+  for (const key of ['taskFile', 'guideFile']) {
+    if (overrides[key] !== undefined && (typeof overrides[key] !== 'string' || !overrides[key].trim())) {
+      throw new Error(`${key} of ${where} must be a file path relative to the bundle`);
+    }
+  }
+  if (overrides.agent !== undefined && !isValidAgent(overrides.agent)) {
+    throw new Error(`agent of ${where} must be one of: ${SUPPORTED_AGENTS.join(', ')} (got: '${overrides.agent}')`);
+  }
+  if (overrides.taskTimeout !== undefined && (typeof overrides.taskTimeout !== 'number' || overrides.taskTimeout < 0)) {
+    throw new Error(`taskTimeout of ${where} must be a non-negative number of minutes (got: ${overrides.taskTimeout})`);
+  }
+  try {
+    validateVerifyConfig(overrides.verify);
+    validateRetryPolicy(overrides.retry);
+    validateProvider(overrides.provider);
+  } catch (error) {
+    throw new Error(`${where}: ${error.message}`);
+  }
+
+  return overrides;
+}
@@ -0,0 +1,311 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import { parseTargetFile, resolveTargets, checkTemplateVariables, targetFiles, getTaskDirName, taskId, readExistingTasks } from './taskgen.mjs';
+import { getRemoteUrl, listRemoteBranches } from './repository.mjs';
+import { createProvider } from './providers/index.mjs';
+import { HOOK_POINTS } from './hooks.mjs';
+import { describeCondition } from './conditions.mjs';
+import { checkPromptTemplate } from './prompt.mjs';
+
+/**
+ * Plan format version (bumped on incompatible changes to the plan JSON)
+ */
+const PLAN_VERSION = 2;
+
+/**
+ * Work out what generation would do for a bundle, without changing anything locally or remotely
+ * Only read-only lookups are made: the provider's current user and fork lookups, `git remote get-url` and `git ls-remote`.
+ * @param {Object} paths - File paths configuration
+ * @param {Object} config - Configuration
+ * @returns {Promise<Object>} Plan {tasks, branchSelections, repositories, forksToCreate, clones, upstreamChanges, missingBranches, ...}
+ */
+export async function buildPlan(paths, config = {}) {
+  const { targetFile, taskFile, guideFile, outputDir, workspaceDir } = paths;
+  const problems = [];
+
+  for (const file of [taskFile, guideFile]) {
+    if (!(await fs.pathExists(file))) {
+      problems.push(`${file} not found`);
+    }
+  }
+  if (!(await fs.pathExists(targetFile))) {
+    throw new Error(`${targetFile} not found`);
+  }
+
+  console.log(`📂 Parsing ${targetFile}...`);
+  const targets = await parseTargetFile(targetFile, { targetsDir: paths.targetsDir });
+  console.log(`📋 Found ${targets.length} target combinations`);
+
+  // Targets may override the task and guide files; only files that exist can be checked for variables
+  const templates = new Map();
+  for (const target of targets) {
+    for (const file of Object.values(targetFiles(target, paths))) {
+      if (templates.has(file)) {
+        continue;
+      }
+      const exists = await fs.pathExists(file);
+      templates.set(file, exists ? await fs.readFile(file, 'utf-8') : null);
+      if (!exists && file !== taskFile && file !== guideFile) {
+        problems.push(`${file} not found`);
+      }
+    }
+  }
+  problems.push(...checkTemplateVariables(targets, (target) => Object.fromEntries(
+    Object.values(targetFiles(target, paths))
+      .filter(file => templates.get(file) !== null)
+      .map(file => [file, templates.get(file)])
+  )));
+
+  if (paths.promptFile) {
+    if (await fs.pathExists(paths.promptFile)) {
+      problems.push(...checkPromptTemplate(await fs.readFile(paths.promptFile, 'utf-8'), paths.promptFile, targets));
+    } else {
+      problems.push(`${paths.promptFile} not found`);
+    }
+  }
+
+  // Repositories share a workspace directory by name, so the same name from two orgs would collide
+  const repositories = [];
+  const providers = new Map();
+  for (const { org, repo, overrides } of targets) {
+    if (repositories.some(entry => entry.org === org && entry.repo === repo)) {
+      continue;
+    }
+    const clash = repositories.find(entry => entry.repo === repo);
+    if (clash) {
+      problems.push(`${org}/${repo} and ${clash.org}/${repo} would share the workspace directory ${path.join(workspaceDir, repo)}`);
+    }
+    const provider = createProvider(overrides?.provider);
+    providers.set(`${org}/${repo}`, provider);
+    repositories.push({ org, repo, provider: provider.label });
+  }
+
+  // Forks and clones are only needed for repositories missing from the workspace,
+  // so the user is only looked up on the providers of those
+  const users = new Map();
+  for (const entry of repositories) {
+    entry.workspaceDir = path.join(workspaceDir, entry.repo);
+    entry.inWorkspace = await fs.pathExists(entry.workspaceDir);
+    const provider = providers.get(`${entry.org}/${entry.repo}`);
+    if (!entry.inWorkspace && !users.has(provider)) {
+      try {
+        console.log(`🔍 Checking user and forks on ${provider.label}...`);
+        users.set(provider, await provider.getUser());
+      } catch (error) {
+        users.set(provider, null);
+        problems.push(`${error.message}. Fork status is unknown.`);
+      }
+    }
+  }
+
+  for (const entry of repositories) {
+    const { org, repo } = entry;
+    const provider = providers.get(`${org}/${repo}`);
+    const user = users.get(provider) ?? null;
+    const upstreamUrl = provider.cloneUrl(org, repo);
+    console.log(`🔍 Checking ${org}/${repo}...`);
+
+    if (entry.inWorkspace) {
+      const currentUpstream = await getRemoteUrl(entry.workspaceDir, 'upstream');
+      entry.upstream = { current: currentUpstream, expected: upstreamUrl, change: currentUpstream !== upstreamUrl };
+      entry.fork = null;
+      entry.clone = null;
+    } else {
+      entry.fork = user
+        ? { owner: user, exists: await provider.hasFork(user, org, repo) }
+        : { owner: null, exists: null };
+      entry.clone = { from: user ? provider.cloneUrl(user, repo) : `<user>/${repo}`, to: entry.workspaceDir };
+      entry.upstream = { current: null, expected: upstreamUrl, change: true };
+    }
+
+    entry.upstreamBranches = await listRemoteBranches(upstreamUrl);
+    if (!entry.upstreamBranches) {
+      problems.push(`Could not list branches of ${upstreamUrl}`);
+    }
+  }
+
+  // Branch patterns expand against the upstream branches, as they would after fetching
+  const findRepository = (org, repo) => repositories.find(entry => entry.org === org && entry.repo === repo);
+  const { targets: resolvedTargets, selections, excluded } = await resolveTargets(targets, async (org, repo) => {
+    const branches = findRepository(org, repo).upstreamBranches;
+    return branches ? [...branches] : null;
+  });
+  for (const selection of selections.filter(selection => selection.branches?.length === 0)) {
+    problems.push(`No upstream branches of ${selection.org}/${selection.repo} match ${selection.selector}`);
+  }
+
+  // Incremental generation keeps the directories of existing tasks and numbers new ones after them
+  const existingTasks = config.incremental ? await readExistingTasks(outputDir) : new Map();
+  let taskCounter = Math.max(0, ...[...existingTasks.values()].map(task => task.number)) + 1;
+  const tasks = resolvedTargets.map(target => ({
+    task: existingTasks.get(taskId(target))?.taskDirName ?? getTaskDirName(taskCounter++, target.repo, target.branch),
+    id: taskId(target),
+    kept: existingTasks.has(taskId(target)),
+    org: target.org,
+    repo: target.repo,
+    branch: target.branch,
+    canary: target.canary,
+    overrides: target.overrides,
+    // Conditions need the worktree, so they are only listed here and checked during generation
+    conditions: target.conditions.map(describeCondition),
+  }));
+
+  for (const entry of repositories) {
+    const { upstreamBranches } = entry;
+    entry.branches = resolvedTargets
+      .filter(target => target.org === entry.org && target.repo === entry.repo)
+      .map(target => ({ branch: target.branch, exists: upstreamBranches ? upstreamBranches.has(target.branch) : null }));
+    delete entry.upstreamBranches;
+  }
+
+  const taskDirCount = (await fs.pathExists(outputDir))
+    ? (await fs.readdir(outputDir, { withFileTypes: true })).filter(dirent => dirent.isDirectory()).length
+    : 0;
+  const targetIds = new Set(tasks.map(task => task.id));
+
+  const hooks = [HOOK_POINTS.BEFORE_GENERATE, HOOK_POINTS.AFTER_WORKTREE]
+    .filter(point => config.hooks?.[point])
+    .map(point => ({ hook: point, command: config.hooks[point] }));
+
+  return {
+    version: PLAN_VERSION,
+    bundle: paths.bundleDir || null,
+    promptTemplate: paths.promptFile || null,
+    steps: (paths.steps || []).map(step => ({ name: step.name, prompt: step.file, agent: step.agent })),
+    createdAt: new Date().toISOString(),
+    users: [...users].map(([provider, user]) => ({ provider: provider.label, user })),
+    tasks,
+    branchSelections: selections,
+    excluded,
+    repositories,
+    forksToCreate: repositories
+      .filter(entry => entry.fork && entry.fork.exists !== true)
+      .map(entry => ({ from: `${entry.org}/${entry.repo}`, owner: entry.fork.owner, unknown: entry.fork.exists === null })),
+    clones: repositories.filter(entry => entry.clone).map(entry => entry.clone),
+    upstreamChanges: repositories
+      .filter(entry => entry.inWorkspace && entry.upstream.change)
+      .map(entry => ({ workspaceDir: entry.workspaceDir, ...entry.upstream })),
+    missingBranches: repositories.flatMap(entry => entry.branches
+      .filter(branch => branch.exists === false)
+      .map(branch => ({ org: entry.org, repo: entry.repo, branch: branch.branch }))),
+    outputDir: { path: outputDir, exists: await fs.pathExists(outputDir), existingTasks: taskDirCount },
+    incremental: Boolean(config.incremental),
+    retiredTasks: [...existingTasks.values()]
+      .filter(task => !targetIds.has(task.id))
+      .map(task => ({ task: task.taskDirName, id: task.id })),
+    hooks,
+    problems,
+  };
+}
+
+/**
+ * Print a plan in human-readable form
+ * @param {Object} plan - Plan from buildPlan
+ */
+export function printPlan(plan) {
+  if (plan.branchSelections.length > 0) {
+    console.log('');
+    console.log('🌿 Branch patterns:');
+    for (const selection of plan.branchSelections) {
+      const branches = selection.branches ? selection.branches.join(', ') || '(no match)' : '(could not list branches)';
+      console.log(`   ${selection.org}/${selection.repo} ${selection.selector} -> ${branches}`);
+    }
+  }
+
+  if (plan.excluded.length > 0) {
+    console.log('');
+    console.log(`⏭️  Excluded (${plan.excluded.length}):`);
+    for (const exclusion of plan.excluded) {
+      console.log(`   ${exclusion.org}/${exclusion.repo}@${exclusion.branch} (${exclusion.rule})`);
+    }
+  }
+
+  if (plan.steps.length > 0) {
+    console.log('');
+    console.log(`🪜 Steps per task (${plan.steps.length}):`);
+    plan.steps.forEach((step, index) => {
+      console.log(`   ${index + 1}. ${step.name}  ${step.prompt}${step.agent ? `  🤖 ${step.agent}` : ''}`);
+    });
+  }
+
+  console.log('');
+  console.log(`📋 Tasks (${plan.tasks.length}):`);
+  for (const task of plan.tasks) {
+    const overrides = Object.keys(task.overrides);
+    console.log(`   ${task.task}  ${task.org}/${task.repo}@${task.branch}${task.kept ? '  ♻️  kept' : ''}${task.canary ? '  🐤 canary' : ''}${overrides.length > 0 ? `  ⚙️  ${overrides.join(', ')}` : ''}`);
+    if (task.conditions.length > 0) {
+      console.log(`      only if ${task.conditions.join(' and ')}`);
+    }
+  }
+  if (plan.tasks.some(task => task.conditions.length > 0)) {
+    console.log('   (task numbers can shift when a target does not meet its conditions)');
+  }
+
+  console.log('');
+  if (plan.forksToCreate.length > 0) {
+    console.log(`🍴 Forks to create (${plan.forksToCreate.length}):`);
+    for (const fork of plan.forksToCreate) {
+      console.log(`   ${fork.from} -> ${fork.owner || '<user>'}/${fork.from.split('/')[1]}${fork.unknown ? ' (if no fork exists yet)' : ''}`);
+    }
+  } else {
+    console.log('🍴 Forks to create: none');
+  }
+
+  if (plan.clones.length > 0) {
+    console.log(`📥 Clones (${plan.clones.length}):`);
+    for (const clone of plan.clones) {
+      console.log(`   ${clone.from} -> ${clone.to}`);
+    }
+  } else {
+    console.log('📥 Clones: none (all repositories are in the workspace and would be fetched)');
+  }
+
+  if (plan.upstreamChanges.length > 0) {
+    console.log(`🔗 Upstream remotes to change (${plan.upstreamChanges.length}):`);
+    for (const change of plan.upstreamChanges) {
+      console.log(`   ${change.workspaceDir}: ${change.current || '(none)'} -> ${change.expected}`);
+    }
+  }
+
+  if (plan.missingBranches.length > 0) {
+    console.log(`🌿 Branches not found upstream (${plan.missingBranches.length}):`);
+    for (const missing of plan.missingBranches) {
+      console.log(`   ${missing.org}/${missing.repo}@${missing.branch}`);
+    }
+  } else {
+    console.log('🌿 All branches exist upstream');
+  }
+
+  if (plan.incremental) {
+    console.log(`♻️  Incremental: ${plan.tasks.filter(task => task.kept).length} tasks kept, ${plan.tasks.filter(task => !task.kept).length} created`);
+    for (const retired of plan.retiredTasks) {
+      console.log(`🗑️  ${retired.task} would be retired (${retired.id} is no longer a target)`);
+    }
+  } else if (plan.outputDir.exists) {
+    console.log(`🧹 ${plan.outputDir.path}/ would be removed (${plan.outputDir.existingTasks} existing task directories)`);
+  }
+
+  for (const hook of plan.hooks) {
+    console.log(`🪝 ${hook.hook} hook would run: ${hook.command}`);
+  }
+
+  if (plan.problems.length > 0) {
+    console.log('');
+    console.log(`⚠️  Problems (${plan.problems.length}):`);
+    for (const problem of plan.problems) {
+      console.log(`   ${problem}`);
+    }
+  }
+}
+
+/**
+ * Write a plan as JSON
+ * @param {Object} plan - Plan from buildPlan
+ * @param {string} planFile - Output file
+ * @returns {Promise<void>}
+ */
+export async function writePlan(plan, planFile) {
+  await fs.ensureDir(path.dirname(path.resolve(planFile)));
+  await fs.writeFile(planFile, JSON.stringify(plan, null, 2) + '\n', 'utf-8');
+}
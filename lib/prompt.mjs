@@ -0,0 +1,137 @@
+#!/usr/bin/env zx
+
+import { path } from 'zx';
+import { fileURLToPath } from 'node:url';
+import { RESULT_FILE, renderResultInstructions } from './result.mjs';
+import { PROMPT_VARIABLES, taskVariables, findMissingVariables, UNDEFINED_VARIABLE_HINT } from './template.mjs';
+import { createProvider } from './providers/index.mjs';
+
+/**
+ * Main script, whose `pr` command the agent uses to open the pull request
+ */
+const MAIN_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'gen-and-run-tasks.mjs');
+
+/**
+ * Prompt template a bundle can provide to control the layout of the generated task.md
+ */
+export const PROMPT_FILE = 'prompt.md';
+
+/**
+ * Placeholders every prompt template must contain: the agent needs the result instructions to report the outcome
+ */
+export const REQUIRED_PROMPT_VARIABLES = ['resultInstructions'];
+
+/**
+ * Layout of task.md when the bundle has no prompt template
+ */
+export const DEFAULT_PROMPT_TEMPLATE = `# Task: {{ repo }}/{{ branch }} (from {{ org }}/{{ repo }})
+
+## Repository Info
+{{ repositoryInfo }}
+
+## Guide
+<guide>
+{{ guide }}
+</guide>
+
+## Description
+<task>
+{{ task }}
+</task>
+
+## Result
+{{ resultInstructions }}
+`;
+
+/**
+ * Command the agent opens the pull request with: the GitHub CLI on GitHub, the `pr` command on other hosts
+ * @param {BaseProvider} provider - Git host of the target
+ * @param {Object} target - Target {org, repo, branch}
+ * @param {string} taskDirPath - Task directory path
+ * @returns {string} Markdown for the Pull Request line
+ */
+function renderPullRequestCommand(provider, { org, repo, branch }, taskDirPath) {
+  if (provider.type === 'github') {
+    const host = provider.settings.host === 'github.com' ? '' : `GH_HOST=${provider.settings.host} `;
+    return `\`${host}gh pr create --repo ${org}/${repo} --base ${branch} --head <github-username>:<branch-name> --title "..." --body $'...'\` (from the fork to the upstream repository)`;
+  }
+  return `\`zx ${MAIN_SCRIPT} pr ${path.resolve(taskDirPath)} --title "..." --body "..."\` (pushes the current branch to the fork and opens the pull request against ${branch})`;
+}
+
+/**
+ * Render the "Repository Info" list telling the agent where it works and how to open the pull request
+ * @param {Object} target - Target {org, repo, branch, canary, overrides}
+ * @param {string} taskId - Stable task ID
+ * @param {string} taskDirPath - Task directory path (parent directory)
+ * @param {string} worktreeRepoPath - Worktree repository subdirectory path
+ * @returns {string} Markdown list
+ */
+function renderRepositoryInfo(target, taskId, taskDirPath, worktreeRepoPath) {
+  const { org, repo, branch, canary } = target;
+  // Rollout canaries run in the first wave (the executor reads this from task.json)
+  const canaryLine = canary ? '\n- **Canary**: yes' : '';
+  const provider = createProvider(target.overrides?.provider);
+
+  return `- **Organization**: ${org}
+- **Repository**: ${repo}
+- **Branch**: ${branch}${canaryLine}
+- **Task ID**: ${taskId}
+- **Task Directory**: ${taskDirPath}
+- **Repository Code**: ${worktreeRepoPath}
+- **Result File**: ${path.join(taskDirPath, RESULT_FILE)}
+- **Git Host**: ${provider.label}
+- **Pull Request**: ${renderPullRequestCommand(provider, target, taskDirPath)}`;
+}
+
+/**
+ * Variables available to a prompt template: the task variables plus PROMPT_VARIABLES
+ * @param {Object} target - Target {org, repo, branch, canary, vars}
+ * @param {number} index - 1-based task number
+ * @param {Object} task - {taskId, taskDirPath, worktreeRepoPath, guide, task} (guide and task already rendered)
+ * @returns {Object} Template variables
+ */
+export function promptVariables(target, index, task) {
+  const resultFile = path.join(task.taskDirPath, RESULT_FILE);
+  return {
+    ...taskVariables(target, index),
+    guide: task.guide,
+    task: task.task,
+    repositoryInfo: renderRepositoryInfo(target, task.taskId, task.taskDirPath, task.worktreeRepoPath),
+    resultInstructions: renderResultInstructions(resultFile),
+    taskId: task.taskId,
+    taskDir: task.taskDirPath,
+    repoPath: task.worktreeRepoPath,
+    resultFile,
+  };
+}
+
+/**
+ * Check a prompt template for required placeholders and variables the targets do not define
+ * @param {string} template - Prompt template text
+ * @param {string} source - Template name for messages (e.g. the file path)
+ * @param {Array} targets - Targets from parseTargetFile
+ * @returns {string[]} Problems (empty if the template is usable)
+ */
+export function checkPromptTemplate(template, source, targets) {
+  const problems = [];
+
+  // With no variables defined, every placeholder in the template is reported as missing
+  const used = findMissingVariables(template, {});
+  const missingRequired = REQUIRED_PROMPT_VARIABLES.filter(name => !used.includes(name));
+  if (missingRequired.length > 0) {
+    problems.push(`${source} must contain ${missingRequired.map(name => `{{ ${name} }}`).join(' and ')}`);
+  }
+
+  for (const target of targets) {
+    const variables = {
+      ...taskVariables({ ...target, branch: target.branch ?? '' }, 0),
+      ...Object.fromEntries(PROMPT_VARIABLES.map(name => [name, ''])),
+    };
+    const missing = findMissingVariables(template, variables);
+    if (missing.length > 0) {
+      const name = `${target.org}/${target.repo}@${target.branch ?? target.selector.label}`;
+      problems.push(`${source} uses undefined variable(s) for ${name}: ${missing.join(', ')}; ${UNDEFINED_VARIABLE_HINT}`);
+    }
+  }
+  return problems;
+}
@@ -0,0 +1,127 @@
+#!/usr/bin/env zx
+
+/**
+ * Base interface for git hosting providers.
+ * Providers must implement getCurrentUser(), hasFork(), createFork(), cloneUrl() and createPullRequest().
+ */
+export class BaseProvider {
+  /**
+   * @param {string} type - Provider type ('github', 'gitlab', 'gitea' or 'local')
+   * @param {Object} settings - Resolved provider settings (see resolveProviderSettings)
+   */
+  constructor(type, settings) {
+    this.type = type;
+    this.settings = settings;
+    this._user = null;
+  }
+
+  /**
+   * Short description for logs, like "gitlab (gitlab.example.com)"
+   * @returns {string} Provider label
+   */
+  get label() {
+    return `${this.type} (${this.settings.host})`;
+  }
+
+  /**
+   * Look up the user that owns the forks
+   * @returns {Promise<string>} User name
+   * @throws {Error} If the user cannot be determined (e.g. not authenticated)
+   */
+  async getCurrentUser() {
+    throw new Error(`${this.type}: getCurrentUser() not implemented`);
+  }
+
+  /**
+   * Get the cached user, looking it up if needed
+   * @returns {Promise<string>} User name
+   */
+  async getUser() {
+    if (!this._user) {
+      this._user = await this.getCurrentUser();
+    }
+    return this._user;
+  }
+
+  /**
+   * Check whether a user has a fork of a repository
+   * @param {string} user - Fork owner
+   * @param {string} org - Organization of the original repository
+   * @param {string} repo - Repository name
+   * @returns {Promise<boolean>} True if the fork exists
+   */
+  async hasFork(user, org, repo) {
+    throw new Error(`${this.type}: hasFork() not implemented`);
+  }
+
+  /**
+   * Fork a repository for the current user
+   * @param {string} org - Organization of the original repository
+   * @param {string} repo - Repository name
+   * @returns {Promise<void>}
+   * @throws {Error} If the fork cannot be created
+   */
+  async createFork(org, repo) {
+    throw new Error(`${this.type}: createFork() not implemented`);
+  }
+
+  /**
+   * URL (or path) git clones and fetches a repository from
+   * @param {string} owner - Organization or user
+   * @param {string} repo - Repository name
+   * @returns {string} Clone URL
+   */
+  cloneUrl(owner, repo) {
+    throw new Error(`${this.type}: cloneUrl() not implemented`);
+  }
+
+  /**
+   * Open a pull (or merge) request from a fork branch into the original repository
+   * @param {Object} request - {org, repo, owner (fork owner), head (fork branch), base (target branch), title, body}
+   * @returns {Promise<string>} URL of the pull request
+   * @throws {Error} If the pull request cannot be created
+   */
+  async createPullRequest(request) {
+    throw new Error(`${this.type}: createPullRequest() not implemented`);
+  }
+}
+
+/**
+ * Call a JSON REST API
+ * @param {string} url - Endpoint URL
+ * @param {Object} options - {method, headers, body (serialized as JSON)}
+ * @returns {Promise<Object>} {status, data} (data is null for 404)
+ * @throws {Error} If the request fails or returns an error other than 404
+ */
+export async function requestJson(url, options = {}) {
+  const { method = 'GET', headers = {}, body } = options;
+  const response = await fetch(url, {
+    method,
+    headers: { Accept: 'application/json', ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+  });
+  if (response.status === 404) {
+    return { status: 404, data: null };
+  }
+
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`${method} ${url} failed with HTTP ${response.status}: ${text.slice(0, 500)}`);
+  }
+  return { status: response.status, data: text ? JSON.parse(text) : null };
+}
+
+/**
+ * Read an API token from the environment
+ * @param {string} name - Environment variable
+ * @param {string} label - Provider label for the error message
+ * @returns {string} Token
+ * @throws {Error} If the variable is not set
+ */
+export function readToken(name, label) {
+  const token = process.env[name];
+  if (!token) {
+    throw new Error(`${label} needs an API token: set ${name} (or name another variable with tokenEnv)`);
+  }
+  return token;
+}
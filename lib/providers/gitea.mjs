@@ -0,0 +1,53 @@
+#!/usr/bin/env zx
+
+import { BaseProvider, requestJson, readToken } from './base.mjs';
+
+/**
+ * Gitea (and Forgejo), through the REST API v1
+ * The token is read from GITEA_TOKEN unless tokenEnv names another variable.
+ */
+export class GiteaProvider extends BaseProvider {
+  constructor(settings) {
+    super('gitea', settings);
+  }
+
+  /**
+   * Call the Gitea API
+   * @param {string} endpoint - Path below /api/v1, like /user
+   * @param {Object} options - {method, body}
+   * @returns {Promise<Object>} {status, data}
+   */
+  api(endpoint, options = {}) {
+    const token = readToken(this.settings.tokenEnv || 'GITEA_TOKEN', this.label);
+    return requestJson(`https://${this.settings.host}/api/v1${endpoint}`, { ...options, headers: { Authorization: `token ${token}` } });
+  }
+
+  async getCurrentUser() {
+    const { data } = await this.api('/user');
+    if (!data?.login) {
+      throw new Error(`Could not get current Gitea user on ${this.settings.host}`);
+    }
+    return data.login;
+  }
+
+  async hasFork(user, org, repo) {
+    const { data } = await this.api(`/repos/${user}/${repo}`);
+    return data?.fork === true && data.parent?.full_name === `${org}/${repo}`;
+  }
+
+  async createFork(org, repo) {
+    await this.api(`/repos/${org}/${repo}/forks`, { method: 'POST', body: {} });
+  }
+
+  cloneUrl(owner, repo) {
+    return `https://${this.settings.host}/${owner}/${repo}.git`;
+  }
+
+  async createPullRequest({ org, repo, owner, head, base, title, body }) {
+    const { data } = await this.api(`/repos/${org}/${repo}/pulls`, {
+      method: 'POST',
+      body: { head: `${owner}:${head}`, base, title, body },
+    });
+    return data.html_url;
+  }
+}
@@ -0,0 +1,49 @@
+#!/usr/bin/env zx
+
+import { $ } from 'zx';
+import { BaseProvider } from './base.mjs';
+
+/**
+ * GitHub and GitHub Enterprise, through the authenticated GitHub CLI (gh)
+ * A host other than github.com is passed to gh as GH_HOST.
+ */
+export class GitHubProvider extends BaseProvider {
+  constructor(settings) {
+    super('github', settings);
+  }
+
+  /**
+   * Run gh against the configured host
+   * @returns {Function} zx `$` with GH_HOST set
+   */
+  gh() {
+    return $({ env: { ...process.env, GH_HOST: this.settings.host } });
+  }
+
+  async getCurrentUser() {
+    try {
+      const result = await this.gh()`gh api user --jq '.login'`;
+      return result.stdout.trim();
+    } catch (error) {
+      throw new Error(`Could not get current GitHub user on ${this.settings.host}. Please check gh authentication: ${(error.stderr || error.message || '').trim()}`);
+    }
+  }
+
+  async hasFork(user, org, repo) {
+    const result = await this.gh()`gh api repos/${user}/${repo} --jq '.parent.full_name // ""'`.quiet().nothrow();
+    return result.exitCode === 0 && result.stdout.trim() === `${org}/${repo}`;
+  }
+
+  async createFork(org, repo) {
+    await this.gh()`gh repo fork ${org}/${repo} --clone=false`;
+  }
+
+  cloneUrl(owner, repo) {
+    return `https://${this.settings.host}/${owner}/${repo}.git`;
+  }
+
+  async createPullRequest({ org, repo, owner, head, base, title, body }) {
+    const result = await this.gh()`gh pr create --repo ${org}/${repo} --base ${base} --head ${owner}:${head} --title ${title} --body ${body}`;
+    return result.stdout.trim().split('\n').at(-1);
+  }
+}
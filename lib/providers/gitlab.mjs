@@ -0,0 +1,88 @@
+#!/usr/bin/env zx
+
+import { sleep } from 'zx';
+import { BaseProvider, requestJson, readToken } from './base.mjs';
+
+/**
+ * GitLab creates forks in the background: how long to wait for one, and how often to check
+ */
+const FORK_TIMEOUT_MS = 5 * 60 * 1000;
+const FORK_POLL_INTERVAL_MS = 3000;
+
+/**
+ * GitLab (gitlab.com or self-managed), through the REST API v4
+ * The token (GITLAB_TOKEN unless tokenEnv names another variable) needs the `api` scope.
+ */
+export class GitLabProvider extends BaseProvider {
+  constructor(settings) {
+    super('gitlab', settings);
+  }
+
+  /**
+   * Call the GitLab API
+   * @param {string} endpoint - Path below /api/v4, like /user
+   * @param {Object} options - {method, body}
+   * @returns {Promise<Object>} {status, data}
+   */
+  api(endpoint, options = {}) {
+    const token = readToken(this.settings.tokenEnv || 'GITLAB_TOKEN', this.label);
+    return requestJson(`https://${this.settings.host}/api/v4${endpoint}`, { ...options, headers: { 'PRIVATE-TOKEN': token } });
+  }
+
+  /**
+   * API path of a project
+   * @param {string} owner - Group or user
+   * @param {string} repo - Project name
+   * @returns {string} /projects/<url-encoded owner/repo>
+   */
+  projectPath(owner, repo) {
+    return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+  }
+
+  async getCurrentUser() {
+    const { data } = await this.api('/user');
+    if (!data?.username) {
+      throw new Error(`Could not get current GitLab user on ${this.settings.host}`);
+    }
+    return data.username;
+  }
+
+  async hasFork(user, org, repo) {
+    const { data } = await this.api(this.projectPath(user, repo));
+    return data?.forked_from_project?.path_with_namespace === `${org}/${repo}`;
+  }
+
+  async createFork(org, repo) {
+    const { data: fork } = await this.api(`${this.projectPath(org, repo)}/fork`, { method: 'POST', body: {} });
+
+    // The fork cannot be cloned until GitLab has finished copying the repository into it
+    const deadline = Date.now() + FORK_TIMEOUT_MS;
+    let project = fork;
+    while (project?.import_status !== 'finished') {
+      if (project?.import_status === 'failed') {
+        throw new Error(`GitLab could not fork ${org}/${repo}: ${project.import_error || 'import failed'}`);
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Fork of ${org}/${repo} on ${this.settings.host} was not ready after ${FORK_TIMEOUT_MS / 60000} minutes (import status: ${project?.import_status})`);
+      }
+      await sleep(FORK_POLL_INTERVAL_MS);
+      ({ data: project } = await this.api(`/projects/${fork.id}`));
+    }
+  }
+
+  cloneUrl(owner, repo) {
+    return `https://${this.settings.host}/${owner}/${repo}.git`;
+  }
+
+  async createPullRequest({ org, repo, owner, head, base, title, body }) {
+    const { data: target } = await this.api(this.projectPath(org, repo));
+    if (!target) {
+      throw new Error(`GitLab project ${org}/${repo} not found on ${this.settings.host}`);
+    }
+    const { data } = await this.api(`${this.projectPath(owner, repo)}/merge_requests`, {
+      method: 'POST',
+      body: { source_branch: head, target_branch: base, target_project_id: target.id, title, description: body },
+    });
+    return data.web_url;
+  }
+}
@@ -0,0 +1,129 @@
+#!/usr/bin/env zx
+
+import { path } from 'zx';
+import os from 'node:os';
+import { GitHubProvider } from './github.mjs';
+import { GitLabProvider } from './gitlab.mjs';
+import { GiteaProvider } from './gitea.mjs';
+import { LocalProvider } from './local.mjs';
+
+const SUPPORTED_PROVIDERS = ['github', 'gitlab', 'gitea', 'local'];
+
+/**
+ * Provider of targets that do not set one
+ */
+const DEFAULT_PROVIDER = 'github';
+
+/**
+ * Settings each provider type accepts besides `type`
+ */
+const PROVIDER_KEYS = {
+  github: ['host'],
+  gitlab: ['host', 'tokenEnv'],
+  gitea: ['host', 'tokenEnv'],
+  local: ['path', 'user'],
+};
+
+/**
+ * Provider instances by resolved settings, so lookups like the current user are made once per host
+ */
+const providerCache = new Map();
+
+/**
+ * Complete the provider setting of a target with the defaults
+ * Accepts a type name ('gitlab') or {type, host, tokenEnv, path, user}; a local path is made absolute.
+ * @param {string|Object|undefined} provider - Provider setting from target.yml
+ * @returns {Object} Resolved settings, e.g. {type: 'github', host: 'github.com'}
+ */
+export function resolveProviderSettings(provider) {
+  const settings = typeof provider === 'string' ? { type: provider } : { type: DEFAULT_PROVIDER, ...provider };
+  switch (settings.type) {
+    case 'github':
+      return { type: 'github', host: settings.host ?? 'github.com' };
+    case 'gitlab':
+      return { type: 'gitlab', host: settings.host ?? 'gitlab.com', tokenEnv: settings.tokenEnv ?? null };
+    case 'gitea':
+      return { type: 'gitea', host: settings.host, tokenEnv: settings.tokenEnv ?? null };
+    case 'local':
+      return { type: 'local', path: path.resolve(settings.path), user: settings.user ?? os.userInfo().username };
+    default:
+      return settings;
+  }
+}
+
+/**
+ * Validate the provider setting of a target
+ * @param {string|Object|undefined} provider - Provider setting from target.yml
+ * @throws {Error} If the provider setting is invalid
+ */
+export function validateProvider(provider) {
+  if (provider === undefined) {
+    return;
+  }
+  if (typeof provider === 'string') {
+    provider = { type: provider };
+  } else if (!provider || typeof provider !== 'object' || Array.isArray(provider)) {
+    throw new Error(`provider must be a provider type or an object with type (${SUPPORTED_PROVIDERS.join(', ')})`);
+  }
+  const { type } = provider;
+  if (!isValidProvider(type)) {
+    throw new Error(`provider must be one of: ${SUPPORTED_PROVIDERS.join(', ')} (got: '${type}')`);
+  }
+
+  for (const key of Object.keys(provider).filter(key => key !== 'type')) {
+    if (!PROVIDER_KEYS[type].includes(key)) {
+      throw new Error(`provider.${key} is not a ${type} setting (expected: ${PROVIDER_KEYS[type].join(', ')})`);
+    }
+    if (typeof provider[key] !== 'string' || !provider[key].trim()) {
+      throw new Error(`provider.${key} must be a non-empty string`);
+    }
+  }
+  if (type === 'gitea' && !provider.host) {
+    throw new Error('provider.host is required for gitea');
+  }
+  if (type === 'local' && !provider.path) {
+    throw new Error('provider.path is required for local (directory of <org>/<repo>.git bare repositories)');
+  }
+}
+
+/**
+ * Get the provider for a target's provider setting
+ * @param {string|Object|undefined} provider - Provider setting from target.yml, or settings from resolveProviderSettings
+ * @returns {BaseProvider} Provider instance (shared by targets with the same settings)
+ */
+export function createProvider(provider) {
+  const settings = resolveProviderSettings(provider);
+  const key = JSON.stringify(settings);
+  if (!providerCache.has(key)) {
+    switch (settings.type) {
+      case 'github':
+        providerCache.set(key, new GitHubProvider(settings));
+        break;
+      case 'gitlab':
+        providerCache.set(key, new GitLabProvider(settings));
+        break;
+      case 'gitea':
+        providerCache.set(key, new GiteaProvider(settings));
+        break;
+      case 'local':
+        providerCache.set(key, new LocalProvider(settings));
+        break;
+      default:
+        throw new Error(
+          `Unknown provider: '${settings.type}'. Supported providers: ${SUPPORTED_PROVIDERS.join(', ')}`
+        );
+    }
+  }
+  return providerCache.get(key);
+}
+
+/**
+ * Validate that a provider type is supported
+ * @param {string} type - Provider type to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidProvider(type) {
+  return SUPPORTED_PROVIDERS.includes(type);
+}
+
+export { SUPPORTED_PROVIDERS, DEFAULT_PROVIDER };
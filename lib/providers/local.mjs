@@ -0,0 +1,53 @@
+#!/usr/bin/env zx
+
+import { $, fs, path } from 'zx';
+import { BaseProvider } from './base.mjs';
+
+/**
+ * Bare repositories on the file system, for offline use and testing
+ * The original of org/repo is <path>/<org>/<repo>.git and a user's fork is <path>/<user>/<repo>.git.
+ * A pull request is the head branch fetched into the original as refs/pull/<n>/head,
+ * described by <path>/<org>/<repo>.git/pulls/<n>.json.
+ */
+export class LocalProvider extends BaseProvider {
+  constructor(settings) {
+    super('local', settings);
+  }
+
+  get label() {
+    return `local (${this.settings.path})`;
+  }
+
+  async getCurrentUser() {
+    return this.settings.user;
+  }
+
+  async hasFork(user, org, repo) {
+    return fs.pathExists(this.cloneUrl(user, repo));
+  }
+
+  async createFork(org, repo) {
+    const source = this.cloneUrl(org, repo);
+    if (!(await fs.pathExists(source))) {
+      throw new Error(`${source} not found`);
+    }
+    await $`git clone --bare --quiet ${source} ${this.cloneUrl(await this.getUser(), repo)}`;
+  }
+
+  cloneUrl(owner, repo) {
+    return path.join(this.settings.path, owner, `${repo}.git`);
+  }
+
+  async createPullRequest({ org, repo, owner, head, base, title, body }) {
+    const upstream = this.cloneUrl(org, repo);
+    const pullsDir = path.join(upstream, 'pulls');
+    await fs.ensureDir(pullsDir);
+    const number = (await fs.readdir(pullsDir)).filter(file => file.endsWith('.json')).length + 1;
+
+    await $`git -C ${upstream} fetch --quiet ${this.cloneUrl(owner, repo)} ${`refs/heads/${head}:refs/pull/${number}/head`}`;
+    const pullFile = path.join(pullsDir, `${number}.json`);
+    const pull = { number, title, body, head: `${owner}:${head}`, base, createdAt: new Date().toISOString() };
+    await fs.writeFile(pullFile, JSON.stringify(pull, null, 2) + '\n', 'utf-8');
+    return `file://${pullFile}`;
+  }
+}
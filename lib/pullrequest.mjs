@@ -0,0 +1,42 @@
+#!/usr/bin/env zx
+
+import { readTaskManifest } from './manifest.mjs';
+import { createProvider } from './providers/index.mjs';
+import { getCurrentBranch, pushBranch } from './repository.mjs';
+
+/**
+ * Open the pull request of a task: push the branch checked out in its worktree to the fork
+ * and open a pull request into the target branch, on the git hosting provider recorded in task.json
+ * @param {string} taskDir - Task directory
+ * @param {Object} request - {title, body}
+ * @returns {Promise<string>} URL of the pull request
+ * @throws {Error} If the task, branch or request is not usable, or the provider fails
+ */
+export async function openPullRequest(taskDir, { title, body = '' }) {
+  if (!taskDir) {
+    throw new Error('No task directory given. Example: zx gen-and-run-tasks.mjs pr tasks/001_ocm_main --title "Fix ..." --body "..."');
+  }
+  if (!title || !title.trim()) {
+    throw new Error('A pull request needs a --title');
+  }
+
+  const manifest = await readTaskManifest(taskDir);
+  const { org, repo, branch: base } = manifest.target;
+  const repoPath = manifest.paths.repoPath;
+
+  const head = await getCurrentBranch(repoPath);
+  if (!head) {
+    throw new Error(`${repoPath} has no branch checked out (detached HEAD): create a feature branch for the change first`);
+  }
+  if (head === base) {
+    throw new Error(`${repoPath} is on ${base}, the pull request target: create a feature branch for the change first`);
+  }
+
+  const provider = createProvider(manifest.provider);
+  const owner = await provider.getUser();
+  console.log(`📤 Pushing ${head} to ${provider.cloneUrl(owner, repo)}...`);
+  await pushBranch(repoPath, head);
+
+  console.log(`🔀 Opening pull request ${owner}:${head} -> ${org}/${repo}@${base} on ${provider.label}...`);
+  return provider.createPullRequest({ org, repo, owner, head, base, title, body });
+}
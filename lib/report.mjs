@@ -0,0 +1,246 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import { TASK_STATUS, STATUS_ICON } from './result.mjs';
+import { formatUsage } from './usage.mjs';
+
+/**
+ * Supported report formats and their file names
+ */
+export const REPORT_FORMATS = {
+  json: 'report.json',
+  junit: 'report.xml',
+  markdown: 'report.md',
+};
+
+/**
+ * Report format version (bumped on incompatible changes to report.json)
+ */
+const REPORT_VERSION = 1;
+
+/**
+ * Convert a task result into a report entry
+ * @param {Object} result - Task result from the executor
+ * @returns {Object} Report entry
+ */
+function toReportEntry(result) {
+  const target = result.target || {};
+  return {
+    task: result.taskName,
+    org: target.org || null,
+    repo: target.repo || null,
+    branch: target.branch || null,
+    agent: result.agent || null,
+    status: result.status,
+    reason: result.reason || null,
+    error: result.error || null,
+    durationSeconds: result.duration ?? 0,
+    attempts: result.attempts ?? 0,
+    startedAt: result.startTimestamp || null,
+    finishedAt: result.endTimestamp || null,
+    logFile: result.logFile ? path.resolve(result.logFile) : null,
+    verifyLog: result.verifyLog || null,
+    prUrl: result.prUrl || null,
+    commits: result.commits || [],
+    changedFiles: result.changedFiles || [],
+    usage: result.usage || null,
+    steps: (result.steps || []).map(step => ({
+      name: step.name,
+      agent: step.agent || null,
+      status: step.status,
+      reason: step.reason || null,
+      durationSeconds: step.duration ?? 0,
+      logFile: step.logFile || null,
+      usage: step.usage || null,
+    })),
+  };
+}
+
+/**
+ * Build the structured report for a run
+ * @param {Object} executionResult - Result from executeTasks
+ * @returns {Object} Report data
+ */
+export function buildReport(executionResult) {
+  return {
+    version: REPORT_VERSION,
+    bundle: executionResult.bundle || null,
+    agent: executionResult.agent || null,
+    startedAt: executionResult.startTimestamp,
+    finishedAt: executionResult.endTimestamp,
+    duration: executionResult.duration,
+    stopReason: executionResult.stopReason || null,
+    haltReason: executionResult.haltReason || null,
+    totalTasks: executionResult.totalTasks,
+    counts: executionResult.counts,
+    usage: executionResult.usage || null,
+    tasks: executionResult.results.map(toReportEntry),
+  };
+}
+
+/**
+ * Escape a string for use in XML text and attributes
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Render the report as JUnit XML, one test case per repo/branch task
+ * success passes, failed is a failure, skipped/not-started are skipped and everything else is an error
+ * @param {Object} report - Report data from buildReport
+ * @returns {string} JUnit XML document
+ */
+export function renderJUnitReport(report) {
+  const isFailure = (entry) => entry.status === TASK_STATUS.FAILED;
+  const isSkipped = (entry) => [TASK_STATUS.SKIPPED, TASK_STATUS.NOT_STARTED].includes(entry.status);
+  const isError = (entry) => entry.status !== TASK_STATUS.SUCCESS && !isFailure(entry) && !isSkipped(entry);
+
+  const failures = report.tasks.filter(isFailure).length;
+  const errors = report.tasks.filter(isError).length;
+  const skipped = report.tasks.filter(isSkipped).length;
+  const totalTime = report.tasks.reduce((sum, entry) => sum + entry.durationSeconds, 0);
+  const suiteName = report.bundle ? `codesweep:${report.bundle}` : 'codesweep';
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXml(suiteName)}" tests="${report.tasks.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${totalTime}">`,
+    `  <testsuite name="${escapeXml(suiteName)}" tests="${report.tasks.length}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${totalTime}" timestamp="${escapeXml(report.startedAt)}">`,
+  ];
+
+  for (const entry of report.tasks) {
+    const classname = entry.org && entry.repo ? `${entry.org}/${entry.repo}` : entry.task;
+    const name = entry.branch || entry.task;
+    const message = escapeXml(entry.reason || entry.error || entry.status);
+
+    lines.push(`    <testcase classname="${escapeXml(classname)}" name="${escapeXml(name)}" time="${entry.durationSeconds}">`);
+    if (isFailure(entry)) {
+      lines.push(`      <failure type="${entry.status}" message="${message}"/>`);
+    } else if (isError(entry)) {
+      lines.push(`      <error type="${entry.status}" message="${message}"/>`);
+    } else if (isSkipped(entry)) {
+      lines.push(`      <skipped message="${message}"/>`);
+    }
+
+    const output = [`Task: ${entry.task}`, `Status: ${entry.status}`];
+    if (entry.prUrl) {
+      output.push(`PR: ${entry.prUrl}`);
+    }
+    if (entry.logFile) {
+      output.push(`Log: ${entry.logFile}`);
+    }
+    for (const step of entry.steps) {
+      output.push(`Step ${step.name}: ${step.status}${step.reason ? ` - ${step.reason}` : ''}`);
+    }
+    if (entry.usage) {
+      output.push(`Usage: ${formatUsage(entry.usage)}`);
+    }
+    lines.push(`      <system-out>${escapeXml(output.join('\n'))}</system-out>`);
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>');
+  lines.push('</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape a value for use in a Markdown table cell
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeMarkdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/**
+ * Render the report as Markdown for pasting into a tracking issue
+ * @param {Object} report - Report data from buildReport
+ * @returns {string} Markdown document
+ */
+export function renderMarkdownReport(report) {
+  const lines = [
+    `# CodeSweep Run Report${report.bundle ? `: ${report.bundle}` : ''}`,
+    '',
+    `- **Started**: ${report.startedAt}`,
+    `- **Finished**: ${report.finishedAt}`,
+    `- **Duration**: ${report.duration}`,
+  ];
+  if (report.agent) {
+    lines.push(`- **Agent**: ${report.agent}`);
+  }
+  if (report.stopReason) {
+    lines.push(`- **Stopped early**: ${report.stopReason}`);
+  }
+  if (report.haltReason) {
+    lines.push(`- **Rollout halted**: ${report.haltReason}`);
+  }
+  if (report.usage) {
+    lines.push(`- **Agent usage**: ${formatUsage(report.usage)}`);
+  }
+
+  lines.push('', '## Summary', '', '| Status | Count |', '| ------ | ----- |');
+  for (const [status, count] of Object.entries(report.counts)) {
+    if (count > 0) {
+      lines.push(`| ${STATUS_ICON[status] || ''} ${status} | ${count} |`);
+    }
+  }
+  lines.push(`| Total | ${report.totalTasks} |`);
+
+  lines.push('', '## Tasks', '', '| Target | Branch | Status | Duration | PR | Details |', '| ------ | ------ | ------ | -------- | -- | ------- |');
+  for (const entry of report.tasks) {
+    const targetName = entry.org && entry.repo ? `${entry.org}/${entry.repo}` : entry.task;
+    const details = [
+      entry.reason || entry.error,
+      entry.attempts > 1 ? `${entry.attempts} attempts` : null,
+      entry.steps.length > 0 ? `steps: ${entry.steps.map(step => `${STATUS_ICON[step.status] || ''} ${step.name}`).join(', ')}` : null,
+      entry.usage ? formatUsage(entry.usage) : null,
+      entry.logFile ? `log: \`${entry.logFile}\`` : null,
+    ].filter(Boolean).join('<br>');
+    lines.push([
+      '',
+      escapeMarkdownCell(targetName),
+      escapeMarkdownCell(entry.branch || ''),
+      `${STATUS_ICON[entry.status] || ''} ${entry.status}`,
+      `${entry.durationSeconds}s`,
+      entry.prUrl ? `[link](${entry.prUrl})` : '',
+      escapeMarkdownCell(details),
+      '',
+    ].join(' | ').trim());
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the run report in the requested formats
+ * @param {Object} executionResult - Result from executeTasks
+ * @param {string} reportDir - Directory to write reports into
+ * @param {string[]} formats - Formats to write (keys of REPORT_FORMATS)
+ * @returns {Promise<string[]>} Paths of the written report files
+ */
+export async function writeRunReports(executionResult, reportDir, formats = Object.keys(REPORT_FORMATS)) {
+  const report = buildReport(executionResult);
+  const renderers = {
+    json: (data) => JSON.stringify(data, null, 2) + '\n',
+    junit: renderJUnitReport,
+    markdown: renderMarkdownReport,
+  };
+
+  await fs.ensureDir(reportDir);
+
+  const written = [];
+  for (const format of formats) {
+    const reportFile = path.join(reportDir, REPORT_FORMATS[format]);
+    await fs.writeFile(reportFile, renderers[format](report), 'utf-8');
+    written.push(reportFile);
+  }
+  return written;
+}
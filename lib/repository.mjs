@@ -3,71 +3,21 @@
 import { $, fs, path, chalk } from 'zx';
 import { retryWithBackoff } from './utils.mjs';
 
-/**
- * Get current GitHub username
- * @returns {string} GitHub username
- */
-export async function getCurrentGitHubUser() {
-  try {
-    const result = await $`gh api user --jq '.login'`;
-    return result.stdout.trim();
-  } catch (error) {
-    const errorMsg = error.stderr || error.message || 'Unknown error';
-    console.error(`   ❌ Error: Could not get current GitHub user. Please check gh authentication.`);
-    console.error(`   📋 GitHub API error details:`);
-    console.error(`      ${errorMsg}`);
-    throw new Error('Could not get current GitHub user. Please check gh authentication.');
-  }
-}
-
-/**
- * Check if user has forked a repository
- * @param {string} username - GitHub username
- * @param {string} repo - Repository name
- * @returns {boolean} True if fork exists
- */
-export async function hasFork(username, repo) {
-  try {
-    const result = await $`gh repo list ${username} --fork --json name --jq '.[].name'`;
-    const repos = result.stdout.trim().split('\n');
-    return repos.includes(repo);
-  } catch (error) {
-    return false;
-  }
-}
-
-/**
- * Create a fork of a repository
- * @param {string} org - Organization name
- * @param {string} repo - Repository name
- * @returns {boolean} True if successful
- */
-export async function createFork(org, repo) {
-  try {
-    console.log(`   🍴 Creating fork of ${org}/${repo}...`);
-    await $`gh repo fork ${org}/${repo} --clone=false`;
-    console.log(`   ✅ Successfully forked ${org}/${repo}`);
-    return true;
-  } catch (error) {
-    console.error(`   ❌ Error: Failed to fork ${org}/${repo}`);
-    return false;
-  }
-}
-
 /**
  * Clone a repository as bare repository (required for worktree support)
- * @param {string} username - GitHub username
+ * @param {BaseProvider} provider - Git hosting provider
+ * @param {string} username - Owner of the repository (the user's fork)
  * @param {string} repo - Repository name
  * @param {string} repoDir - Local directory path
  * @returns {boolean} True if successful
  */
-export async function cloneRepository(username, repo, repoDir) {
+export async function cloneRepository(provider, username, repo, repoDir) {
   try {
     console.log(`   📥 Cloning ${username}/${repo} as bare repository for worktree support...`);
 
     await retryWithBackoff(
       async () => {
-        await $`git clone --bare https://github.com/${username}/${repo}.git ${repoDir}`;
+        await $`git clone --bare ${provider.cloneUrl(username, repo)} ${repoDir}`;
       },
       {
         maxRetries: 5,
@@ -91,10 +41,11 @@ export async function cloneRepository(username, repo, repoDir) {
  * @param {string} repoDir - Local repository directory
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
+ * @param {BaseProvider} provider - Git hosting provider
  * @returns {boolean} True if successful
  */
-export async function configureUpstream(repoDir, org, repo) {
-  const upstreamUrl = `https://github.com/${org}/${repo}.git`;
+export async function configureUpstream(repoDir, org, repo, provider) {
+  const upstreamUrl = provider.cloneUrl(org, repo);
 
   try {
     console.log(`   🔗 Configuring upstream remote to ${org}/${repo}...`);
@@ -124,13 +75,14 @@ export async function configureUpstream(repoDir, org, repo) {
 }
 
 /**
- * Update upstream remote if organization changed
+ * Update upstream remote if organization or provider changed
  * @param {string} repoDir - Local repository directory
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
+ * @param {BaseProvider} provider - Git hosting provider
  * @returns {boolean} True if successful
  */
-export async function updateUpstreamRemote(repoDir, org, repo) {
+export async function updateUpstreamRemote(repoDir, org, repo, provider) {
   try {
     console.log(`   🔗 Verifying upstream remote for ${org}/${repo}...`);
 
@@ -142,7 +94,7 @@ export async function updateUpstreamRemote(repoDir, org, repo) {
       // No upstream remote
     }
 
-    const expectedUpstream = `https://github.com/${org}/${repo}.git`;
+    const expectedUpstream = provider.cloneUrl(org, repo);
 
     if (currentUpstream !== expectedUpstream) {
       console.log(`   🔄 Updating upstream from ${currentUpstream} to ${expectedUpstream}`);
@@ -184,29 +136,41 @@ export async function fetchLatestBranches(repoDir) {
  * @param {string} org - Organization name
  * @param {string} repo - Repository name
  * @param {string} workspaceDir - Workspace directory path
+ * @param {BaseProvider} provider - Git hosting provider of the repository
  * @returns {boolean} True if successful
  */
-export async function ensureRepoExists(org, repo, workspaceDir) {
+export async function ensureRepoExists(org, repo, workspaceDir, provider) {
   const repoDir = path.join(workspaceDir, repo);
 
   // Check if repository already exists
   if (await fs.pathExists(repoDir)) {
     console.log(`   ✅ Repository ${repo} already exists in workspace`);
-    await updateUpstreamRemote(repoDir, org, repo);
+    await updateUpstreamRemote(repoDir, org, repo, provider);
     await fetchLatestBranches(repoDir);
     return true;
   }
 
-  console.log(`   🔍 Repository ${repo} not found in workspace, checking for fork...`);
+  console.log(`   🔍 Repository ${repo} not found in workspace, checking for fork on ${provider.label}...`);
 
-  // Get current GitHub username
-  const currentUser = await getCurrentGitHubUser();
+  // Get current user on the provider
+  let currentUser;
+  try {
+    currentUser = await provider.getUser();
+  } catch (error) {
+    console.error(`   ❌ Error: ${error.message}`);
+    throw error;
+  }
 
   // Check if fork exists, create if not
-  const forkExists = await hasFork(currentUser, repo);
+  const forkExists = await provider.hasFork(currentUser, org, repo);
   if (!forkExists) {
-    const created = await createFork(org, repo);
-    if (!created) {
+    try {
+      console.log(`   🍴 Creating fork of ${org}/${repo}...`);
+      await provider.createFork(org, repo);
+      console.log(`   ✅ Successfully forked ${org}/${repo}`);
+    } catch (error) {
+      console.error(`   ❌ Error: Failed to fork ${org}/${repo}`);
+      console.error(`      ${(error.stderr || error.message || '').trim()}`);
       return false;
     }
   } else {
@@ -214,13 +178,13 @@ export async function ensureRepoExists(org, repo, workspaceDir) {
   }
 
   // Clone the repository (always full clone for worktree support)
-  const cloned = await cloneRepository(currentUser, repo, repoDir);
+  const cloned = await cloneRepository(provider, currentUser, repo, repoDir);
   if (!cloned) {
     return false;
   }
 
   // Configure upstream remote
-  const configured = await configureUpstream(repoDir, org, repo);
+  const configured = await configureUpstream(repoDir, org, repo, provider);
   if (!configured) {
     return false;
   }
@@ -231,3 +195,103 @@ export async function ensureRepoExists(org, repo, workspaceDir) {
   console.log(`   ✅ Successfully set up repository ${repo} in workspace`);
   return true;
 }
+
+/**
+ * Get the URL of a remote without changing anything
+ * @param {string} repoDir - Local repository directory
+ * @param {string} remote - Remote name
+ * @returns {string|null} Remote URL, or null if the remote is not configured
+ */
+export async function getRemoteUrl(repoDir, remote) {
+  const result = await $`git -C ${repoDir} remote get-url ${remote}`.quiet().nothrow();
+  return result.exitCode === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * List the upstream branches fetched into a workspace repository
+ * @param {string} repoDir - Local repository directory
+ * @returns {string[]} Branch names (without the upstream/ prefix)
+ */
+export async function listUpstreamBranches(repoDir) {
+  const result = await $`git -C ${repoDir} for-each-ref ${'--format=%(refname)'} refs/remotes/upstream/`.quiet();
+  return result.stdout.trim().split('\n')
+    .filter(Boolean)
+    .map(ref => ref.replace(/^refs\/remotes\/upstream\//, ''))
+    .filter(name => name !== 'HEAD');
+}
+
+/**
+ * List the branches of a remote repository without fetching anything (used by --plan)
+ * @param {string} url - Repository URL
+ * @returns {Set<string>|null} Branch names, or null if the repository could not be reached
+ */
+export async function listRemoteBranches(url) {
+  const result = await $({ env: { ...process.env, GIT_TERMINAL_PROMPT: '0' } })`git ls-remote --heads ${url}`.quiet().nothrow();
+  if (result.exitCode !== 0) {
+    return null;
+  }
+  return new Set(
+    result.stdout.trim().split('\n').filter(Boolean).map(line => line.split('\t')[1].replace(/^refs\/heads\//, ''))
+  );
+}
+
+/**
+ * Get the commit currently checked out in a repository or worktree
+ * @param {string} repoDir - Repository or worktree directory
+ * @returns {string} Commit SHA
+ */
+export async function getHeadCommit(repoDir) {
+  const result = await $`git -C ${repoDir} rev-parse HEAD`;
+  return result.stdout.trim();
+}
+
+/**
+ * Get the branch currently checked out in a repository or worktree
+ * @param {string} repoDir - Repository or worktree directory
+ * @returns {string|null} Branch name, or null if HEAD is detached
+ */
+export async function getCurrentBranch(repoDir) {
+  const result = await $`git -C ${repoDir} symbolic-ref --short -q HEAD`.nothrow();
+  return result.exitCode === 0 ? result.stdout.trim() : null;
+}
+
+/**
+ * Reset a worktree to a commit, discarding all changes and untracked files
+ * Ignored files are kept, so what the afterWorktree and beforeTask hooks installed (toolchains, vendored deps,
+ * credentials) is still there for the next attempt.
+ * @param {string} worktreePath - Worktree directory
+ * @param {string} commit - Commit SHA to reset to
+ * @param {string|null} branch - Branch to move back to the commit and check out (default: detached HEAD)
+ * @returns {boolean} True if successful
+ */
+export async function resetWorktree(worktreePath, commit, branch = null) {
+  try {
+    console.log(`   🧹 Resetting worktree ${worktreePath} to ${commit.substring(0, 12)}...`);
+    if (branch) {
+      await $`git -C ${worktreePath} checkout --force -B ${branch} ${commit}`;
+    } else {
+      await $`git -C ${worktreePath} checkout --force --detach ${commit}`;
+    }
+    await $`git -C ${worktreePath} reset --hard ${commit}`;
+    await $`git -C ${worktreePath} clean -fd`;
+    return true;
+  } catch (error) {
+    console.error(`   ❌ Error: Failed to reset worktree ${worktreePath}`);
+    console.error(`      ${error.stderr || error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Push a branch of a repository or worktree to its origin remote (the user's fork)
+ * @param {string} repoDir - Repository or worktree directory
+ * @param {string} branch - Branch to push
+ * @returns {Promise<void>}
+ * @throws {Error} If the push fails
+ */
+export async function pushBranch(repoDir, branch) {
+  const result = await $`git -C ${repoDir} push --quiet origin ${`refs/heads/${branch}:refs/heads/${branch}`}`.nothrow();
+  if (result.exitCode !== 0) {
+    throw new Error(`Failed to push ${branch} to origin: ${result.stderr.trim()}`);
+  }
+}
@@ -0,0 +1,147 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+
+/**
+ * Name of the result file the agent writes into each task directory
+ */
+export const RESULT_FILE = 'result.json';
+
+/**
+ * Task outcome statuses
+ * - success: the agent reported pass: true
+ * - failed: the agent reported pass: false, or the executor could not run the task
+ * - unknown: the agent ran but result.json is missing or malformed
+ * - timed-out: the agent was killed after exceeding the task timeout or the run deadline
+ * - budget-exceeded: the agent was stopped after reaching the per-task budget
+ * - interrupted: the run was stopped (e.g. Ctrl-C) before the task finished
+ * - not-started: the run was stopped before the task was started
+ * - skipped: the task was deliberately not run (e.g. it already succeeded in a previous run, or the run budget is used up)
+ */
+export const TASK_STATUS = {
+  SUCCESS: 'success',
+  FAILED: 'failed',
+  UNKNOWN: 'unknown',
+  TIMED_OUT: 'timed-out',
+  BUDGET_EXCEEDED: 'budget-exceeded',
+  INTERRUPTED: 'interrupted',
+  NOT_STARTED: 'not-started',
+  SKIPPED: 'skipped',
+};
+
+/**
+ * Console icon for each task status
+ */
+export const STATUS_ICON = {
+  [TASK_STATUS.SUCCESS]: '✅',
+  [TASK_STATUS.FAILED]: '❌',
+  [TASK_STATUS.UNKNOWN]: '❔',
+  [TASK_STATUS.TIMED_OUT]: '⏰',
+  [TASK_STATUS.BUDGET_EXCEEDED]: '💸',
+  [TASK_STATUS.INTERRUPTED]: '🛑',
+  [TASK_STATUS.NOT_STARTED]: '⏸️ ',
+  [TASK_STATUS.SKIPPED]: '⏭️ ',
+};
+
+/**
+ * Validate the contents of a result.json file
+ * @param {any} data - Parsed result.json contents
+ * @returns {string[]} List of validation errors (empty if valid)
+ */
+export function validateTaskResult(data) {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['result must be a JSON object'];
+  }
+
+  if (typeof data.pass !== 'boolean') {
+    errors.push('"pass" must be true or false');
+  }
+
+  if (typeof data.reason !== 'string' || (data.pass === false && !data.reason.trim())) {
+    errors.push('"reason" must be a string (required to be non-empty when "pass" is false)');
+  }
+
+  if (data.prUrl !== undefined && data.prUrl !== null && typeof data.prUrl !== 'string') {
+    errors.push('"prUrl" must be a string or null');
+  }
+
+  for (const key of ['commits', 'changedFiles']) {
+    const value = data[key];
+    if (value !== undefined && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+      errors.push(`"${key}" must be an array of strings`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read and validate the result file written by the agent
+ * @param {string} taskDir - Task directory containing result.json
+ * @returns {Object} {status, reason, prUrl, commits, changedFiles}
+ */
+export async function readTaskResult(taskDir) {
+  const resultFile = path.join(taskDir, RESULT_FILE);
+
+  if (!(await fs.pathExists(resultFile))) {
+    return {
+      status: TASK_STATUS.UNKNOWN,
+      reason: `Agent did not write ${RESULT_FILE}`,
+    };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(resultFile, 'utf-8'));
+  } catch (error) {
+    return {
+      status: TASK_STATUS.UNKNOWN,
+      reason: `Malformed ${RESULT_FILE}: ${error.message}`,
+    };
+  }
+
+  const errors = validateTaskResult(data);
+  if (errors.length > 0) {
+    return {
+      status: TASK_STATUS.UNKNOWN,
+      reason: `Invalid ${RESULT_FILE}: ${errors.join('; ')}`,
+    };
+  }
+
+  return {
+    status: data.pass ? TASK_STATUS.SUCCESS : TASK_STATUS.FAILED,
+    reason: data.reason,
+    prUrl: data.prUrl || null,
+    commits: data.commits || [],
+    changedFiles: data.changedFiles || [],
+  };
+}
+
+/**
+ * Render the result file instructions appended to each generated task
+ * @param {string} resultFilePath - Absolute path where the agent must write the result
+ * @returns {string} Markdown instructions
+ */
+export function renderResultInstructions(resultFilePath) {
+  return `When you are done (whether the task succeeded or failed), write a JSON file to \`${resultFilePath}\` with this structure:
+
+\`\`\`json
+{
+  "pass": true,
+  "reason": "Short explanation of the outcome",
+  "prUrl": "https://github.com/<org>/<repo>/pull/<number>",
+  "commits": ["<full commit SHA>"],
+  "changedFiles": ["path/relative/to/repo"]
+}
+\`\`\`
+
+- \`pass\` (boolean, required): \`true\` only if the task was fully completed
+- \`reason\` (string, required): why the task passed or failed; must not be empty when \`pass\` is \`false\`
+- \`prUrl\` (string or null): URL of the pull request you created, if any
+- \`commits\` (array of strings): SHAs of the commits you created
+- \`changedFiles\` (array of strings): files you modified, relative to the repository root
+
+The executor reads this file to decide the task outcome. A missing or invalid file is reported as \`unknown\`.`;
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import { TASK_STATUS } from './result.mjs';
+
+/**
+ * Default retry policy for agent tasks (a single attempt, i.e. no retries)
+ * Delays are in seconds. A failed attempt is retryable when the agent exited with one of
+ * `exitCodes` or its error output (stderr and an error result, not the transcript) matches one of
+ * `logPatterns` (regular expressions, case-insensitive).
+ */
+export const DEFAULT_RETRY_POLICY = {
+  maxAttempts: 1,
+  initialDelay: 30,
+  maxDelay: 300,
+  exitCodes: [],
+  logPatterns: [
+    'overloaded_error',
+    'rate_limit_error',
+    'rate limit',
+    '\\b529\\b',
+    'API Error: (5\\d\\d|429)',
+    'ECONNRESET',
+    'ETIMEDOUT',
+    'socket hang up',
+  ],
+};
+
+/**
+ * Outcomes that may be retried; timeouts, budget stops and interrupts are deliberate and never retried
+ */
+const RETRYABLE_OUTCOMES = [TASK_STATUS.FAILED, TASK_STATUS.UNKNOWN];
+
+/**
+ * Merge a retry policy from the configuration with the defaults
+ * @param {Object|undefined} retry - Retry section of the configuration
+ * @returns {Object} Complete retry policy
+ */
+export function resolveRetryPolicy(retry) {
+  return { ...DEFAULT_RETRY_POLICY, ...(retry || {}) };
+}
+
+/**
+ * Validate the retry section of the configuration
+ * @param {Object|undefined} retry - Retry configuration
+ * @throws {Error} If the retry configuration is invalid
+ */
+export function validateRetryPolicy(retry) {
+  if (retry === undefined || retry === null) {
+    return;
+  }
+  if (typeof retry !== 'object' || Array.isArray(retry)) {
+    throw new Error('retry must be an object');
+  }
+
+  const policy = resolveRetryPolicy(retry);
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error(`retry.maxAttempts must be a positive integer (got: ${policy.maxAttempts})`);
+  }
+  for (const key of ['initialDelay', 'maxDelay']) {
+    if (typeof policy[key] !== 'number' || policy[key] < 0) {
+      throw new Error(`retry.${key} must be a non-negative number of seconds (got: ${policy[key]})`);
+    }
+  }
+  if (!Array.isArray(policy.exitCodes) || policy.exitCodes.some(code => !Number.isInteger(code))) {
+    throw new Error('retry.exitCodes must be an array of integers');
+  }
+  if (!Array.isArray(policy.logPatterns)) {
+    throw new Error('retry.logPatterns must be an array of regular expressions');
+  }
+  for (const pattern of policy.logPatterns) {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      throw new Error(`retry.logPatterns contains an invalid regular expression '${pattern}': ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Log file for a given attempt: execution.log, then execution.attempt-2.log, ...
+ * @param {string} logFile - Log file of the first attempt
+ * @param {number} attempt - Attempt number (1-based)
+ * @returns {string} Log file path for the attempt
+ */
+export function attemptLogFile(logFile, attempt) {
+  if (attempt <= 1) {
+    return logFile;
+  }
+  const ext = path.extname(logFile);
+  return `${logFile.slice(0, logFile.length - ext.length)}.attempt-${attempt}${ext}`;
+}
+
+/**
+ * Decide whether a failed attempt should be retried
+ * An attempt that reported a pull request is never retried: a new attempt would open another one.
+ * @param {Object} result - Task result from runTask
+ * @param {Object} policy - Retry policy
+ * @returns {Promise<string|null>} Why the attempt is retryable, or null if it is not
+ */
+export async function getRetryReason(result, policy) {
+  if (!RETRYABLE_OUTCOMES.includes(result.status) || result.prUrl) {
+    return null;
+  }
+
+  if (result.exitCode !== undefined && policy.exitCodes.includes(result.exitCode)) {
+    return `exit code ${result.exitCode}`;
+  }
+
+  if (policy.logPatterns.length > 0 && result.errorLog && (await fs.pathExists(result.errorLog))) {
+    const errors = await fs.readFile(result.errorLog, 'utf-8');
+    const match = policy.logPatterns.find(pattern => new RegExp(pattern, 'i').test(errors));
+    if (match) {
+      return `error output matches /${match}/`;
+    }
+  }
+
+  return null;
+}
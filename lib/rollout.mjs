@@ -0,0 +1,98 @@
+#!/usr/bin/env zx
+
+import { TASK_STATUS } from './result.mjs';
+
+/**
+ * Default rollout settings
+ * canary: number of leading tasks run first when no target is flagged `canary: true` (0 = no canary wave)
+ * waveSize: number of tasks per wave after the canary wave (0 = all remaining tasks in one wave)
+ * maxFailureRate: highest tolerated share of failed tasks in a wave, between 0 and 1
+ */
+export const DEFAULT_ROLLOUT = {
+  canary: 0,
+  waveSize: 0,
+  maxFailureRate: 0,
+};
+
+/**
+ * Merge the rollout section of the configuration with the defaults
+ * @param {Object|null|undefined} rollout - Rollout section of the configuration
+ * @returns {Object|null} Complete rollout settings, or null when rollout mode is off
+ */
+export function resolveRollout(rollout) {
+  if (!rollout) {
+    return null;
+  }
+  return { ...DEFAULT_ROLLOUT, ...rollout };
+}
+
+/**
+ * Validate the rollout section of the configuration
+ * @param {Object|null|undefined} rollout - Rollout configuration
+ * @throws {Error} If the rollout configuration is invalid
+ */
+export function validateRollout(rollout) {
+  if (rollout === undefined || rollout === null) {
+    return;
+  }
+  if (typeof rollout !== 'object' || Array.isArray(rollout)) {
+    throw new Error('rollout must be an object with canary, waveSize and maxFailureRate');
+  }
+
+  const settings = resolveRollout(rollout);
+  for (const key of ['canary', 'waveSize']) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+      throw new Error(`rollout.${key} must be a non-negative integer (got: ${settings[key]})`);
+    }
+  }
+  if (typeof settings.maxFailureRate !== 'number' || settings.maxFailureRate < 0 || settings.maxFailureRate > 1) {
+    throw new Error(`rollout.maxFailureRate must be a number between 0 and 1 (got: ${settings.maxFailureRate})`);
+  }
+}
+
+/**
+ * Split tasks into rollout waves: the canary wave first, then waves of waveSize
+ * Canaries are the tasks whose target is flagged `canary: true`, or else the first `canary` tasks.
+ * @param {string[]} taskFiles - Task files in run order
+ * @param {Object|null} rollout - Rollout settings from resolveRollout
+ * @param {Set<string>} flaggedCanaries - Task files whose target is flagged as canary
+ * @returns {string[][]} Waves of task files
+ */
+export function planWaves(taskFiles, rollout, flaggedCanaries = new Set()) {
+  if (!rollout) {
+    return [taskFiles];
+  }
+
+  const flagged = taskFiles.filter(taskFile => flaggedCanaries.has(taskFile));
+  const canaries = flagged.length > 0 ? flagged : taskFiles.slice(0, rollout.canary);
+  const remaining = taskFiles.filter(taskFile => !canaries.includes(taskFile));
+
+  const waves = canaries.length > 0 ? [canaries] : [];
+  const waveSize = rollout.waveSize || remaining.length;
+  for (let i = 0; i < remaining.length; i += waveSize) {
+    waves.push(remaining.slice(i, i + waveSize));
+  }
+  return waves;
+}
+
+/**
+ * Check a finished wave against the failure-rate threshold
+ * Only tasks that actually ran count; skipped and not-started tasks are ignored.
+ * @param {Object[]} results - Task results of the wave
+ * @param {Object} rollout - Rollout settings
+ * @returns {string|null} Why the rollout must halt, or null to continue
+ */
+export function checkWave(results, rollout) {
+  const ran = results.filter(result => ![TASK_STATUS.SKIPPED, TASK_STATUS.NOT_STARTED].includes(result.status));
+  if (ran.length === 0) {
+    return null;
+  }
+
+  const failures = ran.filter(result => result.status !== TASK_STATUS.SUCCESS).length;
+  const failureRate = failures / ran.length;
+  if (failureRate > rollout.maxFailureRate) {
+    const percent = (rate) => `${Math.round(rate * 100)}%`;
+    return `${failures} of ${ran.length} tasks did not succeed (${percent(failureRate)}, threshold ${percent(rollout.maxFailureRate)})`;
+  }
+  return null;
+}
@@ -0,0 +1,210 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import { TASK_STATUS } from './result.mjs';
+
+/**
+ * Name of the run state manifest kept in the tasks directory
+ */
+export const RUN_STATE_FILE = 'run-state.json';
+
+/**
+ * Run state manifest format version
+ */
+export const RUN_STATE_VERSION = 1;
+
+/**
+ * Additional statuses only used in the run state manifest
+ */
+export const RUN_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+};
+
+/**
+ * Resume modes
+ * - resume: skip tasks that already succeeded
+ * - retry-failed: only re-run tasks that ran and did not succeed (failed, timed out, interrupted,
+ *   reached their budget or had an unknown outcome); tasks that never started are left for resume
+ */
+export const RESUME_MODE = {
+  RESUME: 'resume',
+  RETRY_FAILED: 'retry-failed',
+};
+
+const RETRYABLE_STATUSES = [
+  TASK_STATUS.FAILED,
+  TASK_STATUS.UNKNOWN,
+  TASK_STATUS.TIMED_OUT,
+  TASK_STATUS.BUDGET_EXCEEDED,
+  TASK_STATUS.INTERRUPTED,
+];
+
+/**
+ * Persisted record of task statuses across runs
+ * Keeps one entry per task directory with status, timestamps and attempt count
+ */
+export class RunState {
+  constructor(outputDir, data = null) {
+    this.file = path.join(outputDir, RUN_STATE_FILE);
+    this.data = data || {
+      version: RUN_STATE_VERSION,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      tasks: {},
+    };
+    this._pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Load the run state manifest from the tasks directory
+   * Tasks recorded as running belong to a run that never finished and are marked interrupted
+   * @param {string} outputDir - Tasks directory
+   * @returns {Promise<RunState>} Loaded (or empty) run state
+   */
+  static async load(outputDir) {
+    const file = path.join(outputDir, RUN_STATE_FILE);
+
+    if (!(await fs.pathExists(file))) {
+      return new RunState(outputDir);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read run state ${file}: ${error.message}`);
+    }
+
+    if (data.version !== RUN_STATE_VERSION || !data.tasks || typeof data.tasks !== 'object') {
+      throw new Error(`Unsupported run state format in ${file} (expected version ${RUN_STATE_VERSION})`);
+    }
+
+    for (const entry of Object.values(data.tasks)) {
+      if (entry.status === RUN_STATUS.RUNNING) {
+        entry.status = TASK_STATUS.INTERRUPTED;
+        entry.reason = 'Run stopped before the task finished';
+      }
+    }
+
+    return new RunState(outputDir, data);
+  }
+
+  /**
+   * Get the recorded entry for a task
+   * @param {string} taskName - Task directory name
+   * @returns {Object|undefined} Task entry
+   */
+  get(taskName) {
+    return this.data.tasks[taskName];
+  }
+
+  /**
+   * Make sure every task has an entry, recording never-started tasks as pending
+   * @param {string[]} taskNames - Task directory names
+   */
+  register(taskNames) {
+    for (const taskName of taskNames) {
+      if (!this.data.tasks[taskName]) {
+        this.data.tasks[taskName] = { status: RUN_STATUS.PENDING, attempts: 0 };
+      }
+    }
+  }
+
+  /**
+   * Drop the entries of tasks that no longer exist
+   * @param {string[]} taskNames - Task directory names
+   */
+  forget(taskNames) {
+    for (const taskName of taskNames) {
+      delete this.data.tasks[taskName];
+    }
+  }
+
+  /**
+   * Record that a task has started
+   * @param {string} taskName - Task directory name
+   * @returns {Promise<void>}
+   */
+  async markStarted(taskName) {
+    const entry = this.data.tasks[taskName] || { attempts: 0 };
+    this.data.tasks[taskName] = {
+      ...entry,
+      status: RUN_STATUS.RUNNING,
+      attempts: entry.attempts + 1,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      reason: null,
+    };
+    await this.save();
+  }
+
+  /**
+   * Record an additional attempt (retry) of a running task
+   * @param {string} taskName - Task directory name
+   * @returns {Promise<void>}
+   */
+  async recordAttempt(taskName) {
+    const entry = this.data.tasks[taskName];
+    if (entry) {
+      entry.attempts++;
+      await this.save();
+    }
+  }
+
+  /**
+   * Record the outcome of a task
+   * @param {string} taskName - Task directory name
+   * @param {Object} result - Task result from runTask
+   * @returns {Promise<void>}
+   */
+  async markFinished(taskName, result) {
+    this.data.tasks[taskName] = {
+      ...this.data.tasks[taskName],
+      status: result.status,
+      finishedAt: new Date().toISOString(),
+      reason: result.reason || null,
+      prUrl: result.prUrl || null,
+      // The agent that ran, after --agent and target overrides (task.json only has the generation-time choice)
+      agent: result.agent || null,
+      usage: result.usage || null,
+      steps: result.steps ? result.steps.map(step => ({ name: step.name, agent: step.agent || null, status: step.status, reason: step.reason || null })) : null,
+    };
+    await this.save();
+  }
+
+  /**
+   * Decide whether a task should run in the given resume mode
+   * @param {string} taskName - Task directory name
+   * @param {string|null} mode - One of RESUME_MODE, or null to run everything
+   * @returns {boolean} True if the task should run
+   */
+  shouldRun(taskName, mode) {
+    const status = this.data.tasks[taskName]?.status || RUN_STATUS.PENDING;
+
+    switch (mode) {
+      case RESUME_MODE.RESUME:
+        return status !== TASK_STATUS.SUCCESS;
+      case RESUME_MODE.RETRY_FAILED:
+        return RETRYABLE_STATUSES.includes(status);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Write the manifest to disk
+   * Writes are serialized and go through a temp file so concurrent tasks never corrupt it.
+   * A failed write rejects only its own save(); the next one writes the whole manifest again.
+   * @returns {Promise<void>}
+   */
+  async save() {
+    this._pendingWrite = this._pendingWrite.catch(() => {}).then(async () => {
+      this.data.updatedAt = new Date().toISOString();
+      const tmpFile = `${this.file}.tmp`;
+      await fs.writeFile(tmpFile, JSON.stringify(this.data, null, 2) + '\n', 'utf-8');
+      await fs.rename(tmpFile, this.file);
+    });
+    return this._pendingWrite;
+  }
+}
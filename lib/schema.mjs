@@ -0,0 +1,233 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * Directory of the published bundle file schemas (JSON Schema, usable by editors as well)
+ */
+export const SCHEMA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'schemas');
+
+/**
+ * Schema of each bundle file
+ */
+export const BUNDLE_SCHEMAS = {
+  'config.json': 'config.schema.json',
+  'target.yml': 'target.schema.json',
+  'targets/*.yml': 'target-set.schema.json',
+};
+
+/**
+ * Loaded schema documents by file name
+ */
+let schemaCache = null;
+
+/**
+ * Load every schema document, so references between them can be resolved
+ * @returns {Promise<Map<string, Object>>} Schema documents by file name
+ */
+async function loadSchemas() {
+  if (!schemaCache) {
+    schemaCache = new Map();
+    for (const file of await fs.readdir(SCHEMA_DIR)) {
+      if (file.endsWith('.schema.json')) {
+        schemaCache.set(file, JSON.parse(await fs.readFile(path.join(SCHEMA_DIR, file), 'utf-8')));
+      }
+    }
+  }
+  return schemaCache;
+}
+
+/**
+ * Resolve a `$ref` like `#/$defs/verify` or `config.schema.json#/$defs/verify`
+ * @param {string} ref - Reference
+ * @param {string} document - File name of the schema containing the reference
+ * @param {Map<string, Object>} schemas - Schema documents
+ * @returns {Object} {schema, document}
+ */
+function resolveRef(ref, document, schemas) {
+  const [file, pointer = ''] = ref.split('#');
+  const target = file || document;
+  const schema = pointer.split('/').filter(Boolean).reduce((node, key) => node?.[key], schemas.get(target));
+  if (!schema) {
+    throw new Error(`Schema reference ${ref} in ${document} cannot be resolved`);
+  }
+  return { schema, document: target };
+}
+
+/**
+ * JSON type name of a value
+ * @param {any} value - Parsed JSON or YAML value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Number.isInteger(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Edit distance between two strings, ignoring case
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  a = a.toLowerCase();
+  b = b.toLowerCase();
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Suggest the known key an unknown key was probably meant to be
+ * @param {string} key - Unknown key
+ * @param {string[]} known - Keys the schema allows
+ * @returns {string|null} Closest known key, or null if none is close
+ */
+export function suggestKey(key, known) {
+  const maxDistance = Math.max(1, Math.floor(key.length / 3));
+  const [best] = known
+    .map(name => ({ name, distance: editDistance(key, name) }))
+    .filter(({ distance }) => distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+  return best ? best.name : null;
+}
+
+/**
+ * Check a value against a schema node, collecting problems
+ * Supports the subset of JSON Schema the bundle schemas use.
+ * @param {any} value - Value to check
+ * @param {Object} schema - Schema node
+ * @param {Object} context - {document, schemas, problems}
+ * @param {string} at - Location of the value, like `target[0].repos`
+ */
+function checkNode(value, schema, context, at) {
+  if (schema.$ref) {
+    const resolved = resolveRef(schema.$ref, context.document, context.schemas);
+    checkNode(value, resolved.schema, { ...context, document: resolved.document }, at);
+    return;
+  }
+
+  const where = at || 'the file';
+  const type = typeOf(value);
+  const error = message => context.problems.push({ level: 'error', at, message: `${where} ${message}` });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+      const expected = types.length > 1 ? `${types.slice(0, -1).join(', ')} or ${types.at(-1)}` : types[0];
+      error(`must be ${expected} (got: ${JSON.stringify(value)})`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    error(`must be one of: ${schema.enum.join(', ')} (got: ${JSON.stringify(value)})`);
+    return;
+  }
+
+  // The `then` or `else` schema applies depending on whether the value matches `if`
+  if (schema.if) {
+    const probe = { ...context, problems: [] };
+    checkNode(value, schema.if, probe, at);
+    const branch = probe.problems.length === 0 ? schema.then : schema.else;
+    if (branch) {
+      checkNode(value, branch, context, at);
+    }
+  }
+
+  if (type === 'integer' || type === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(`must be at least ${schema.minimum} (got: ${value})`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      error(`must be greater than ${schema.exclusiveMinimum} (got: ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error(`must be at most ${schema.maximum} (got: ${value})`);
+    }
+  } else if (type === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      error('must not be empty');
+    }
+  } else if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`must have at least ${schema.minItems} entr${schema.minItems === 1 ? 'y' : 'ies'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => checkNode(item, schema.items, context, `${at}[${index}]`));
+    }
+  } else if (type === 'object') {
+    checkObject(value, schema, context, at);
+  }
+}
+
+/**
+ * Check the keys of an object against a schema node
+ * Unknown keys are errors with a suggestion, deprecated keys are warnings with the replacement.
+ * @param {Object} value - Object to check
+ * @param {Object} schema - Schema node
+ * @param {Object} context - {document, schemas, problems}
+ * @param {string} at - Location of the object
+ */
+function checkObject(value, schema, context, at) {
+  const where = at || 'the file';
+  const keys = Object.keys(value);
+  const properties = schema.properties || {};
+  const known = Object.keys(properties).filter(key => !properties[key].deprecated && key !== '$schema');
+  const keyPath = key => (at ? `${at}.${key}` : key);
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined) {
+      context.problems.push({ level: 'error', at, message: `${where} is missing required key '${key}'` });
+    }
+  }
+  if (schema.minProperties === 1 && schema.maxProperties === 1 && keys.length !== 1) {
+    context.problems.push({ level: 'error', at, message: `${where} must have exactly one of: ${known.join(', ')}` });
+  } else if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+    context.problems.push({ level: 'error', at, message: `${where} must set at least one of: ${known.join(', ')}` });
+  }
+
+  for (const key of keys) {
+    const property = properties[key];
+    if (property?.deprecated) {
+      context.problems.push({ level: 'warning', at: keyPath(key), message: `${keyPath(key)} is deprecated: ${property.deprecationMessage}` });
+    } else if (property) {
+      checkNode(value[key], property, context, keyPath(key));
+    } else if (schema.additionalProperties === false) {
+      const suggestion = suggestKey(key, known);
+      const hint = suggestion ? `did you mean '${suggestion}'?` : `expected: ${known.join(', ')}`;
+      context.problems.push({ level: 'error', at: keyPath(key), message: `${keyPath(key)} is not a known key (${hint})` });
+    } else if (typeof schema.additionalProperties === 'object') {
+      checkNode(value[key], schema.additionalProperties, context, keyPath(key));
+    }
+  }
+}
+
+/**
+ * Check the parsed content of a bundle file against its published schema
+ * @param {any} data - Parsed file content
+ * @param {string} file - Bundle file name (a key of BUNDLE_SCHEMAS)
+ * @returns {Promise<Object[]>} Problems {level: 'error'|'warning', at, message}
+ */
+export async function checkSchema(data, file) {
+  const schemas = await loadSchemas();
+  const document = BUNDLE_SCHEMAS[file];
+  const context = { document, schemas, problems: [] };
+  checkNode(data, schemas.get(document), context, '');
+  return context.problems;
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env zx
+
+import { isValidAgent, SUPPORTED_AGENTS } from './agents/index.mjs';
+
+/**
+ * Step names become part of file names, so they are limited to letters, digits, `-` and `_`
+ */
+const STEP_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Validate the steps section of the configuration
+ * Each step is {name, prompt, agent}: prompt is a file relative to the bundle, agent is optional.
+ * @param {Object[]|null|undefined} steps - Steps configuration
+ * @throws {Error} If the steps configuration is invalid
+ */
+export function validateSteps(steps) {
+  if (steps === undefined || steps === null) {
+    return;
+  }
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('steps must be a non-empty list of {name, prompt, agent}');
+  }
+
+  const names = new Set();
+  steps.forEach((step, index) => {
+    const where = `steps[${index}]`;
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      throw new Error(`${where} must be an object with name and prompt`);
+    }
+    if (typeof step.name !== 'string' || !STEP_NAME_PATTERN.test(step.name)) {
+      throw new Error(`${where}.name must contain only letters, digits, - and _ (got: ${JSON.stringify(step.name)})`);
+    }
+    if (names.has(step.name)) {
+      throw new Error(`${where}.name '${step.name}' is used by another step`);
+    }
+    names.add(step.name);
+    if (typeof step.prompt !== 'string' || !step.prompt.trim()) {
+      throw new Error(`${where}.prompt must be a file path relative to the bundle`);
+    }
+    if (step.agent !== undefined && step.agent !== null && !isValidAgent(step.agent)) {
+      throw new Error(`${where}.agent must be one of: ${SUPPORTED_AGENTS.join(', ')} (got: '${step.agent}')`);
+    }
+  });
+}
+
+/**
+ * Stable identifier of a step, used in its file names: step-01-bump
+ * @param {number} index - 0-based step index
+ * @param {Object} step - Step {name}
+ * @returns {string} Step ID
+ */
+export function stepId(index, step) {
+  return `step-${String(index + 1).padStart(2, '0')}-${step.name}`;
+}
+
+/**
+ * Log of a step for a task log: execution.log -> execution.step-01-bump.log
+ * @param {string} logFile - Task (or attempt) log file
+ * @param {number} index - 0-based step index
+ * @param {Object} step - Step {name}
+ * @returns {string} Step log file path
+ */
+export function stepLogFile(logFile, index, step) {
+  return logFile.replace(/(\.log)?$/, `.${stepId(index, step)}.log`);
+}
+
+/**
+ * Render the task content of one step: the bundle's task, then the step's own prompt
+ * @param {string} taskContent - Task content (already rendered)
+ * @param {string} stepContent - Step prompt (already rendered)
+ * @param {number} index - 0-based step index
+ * @param {Object[]} steps - All steps of the bundle, in order
+ * @returns {string} Markdown passed to the prompt template as the task
+ */
+export function renderStepTask(taskContent, stepContent, index, steps) {
+  const names = list => list.map(step => `\`${step.name}\``).join(', ');
+  const done = steps.slice(0, index);
+  const remaining = steps.slice(index + 1);
+  const context = [
+    `This task is done in ${steps.length} steps, each run by its own agent session in the same repository code directory.`,
+    done.length > 0 ? `The previous steps (${names(done)}) have completed; their changes are already in the repository code directory.` : null,
+    remaining.length > 0
+      ? `Do only this step now: the remaining steps (${names(remaining)}) run after it.`
+      : 'This is the last step.',
+    'The Result File reports the outcome of this step only.',
+  ].filter(Boolean).join(' ');
+
+  return `${taskContent}
+
+## Step ${index + 1} of ${steps.length}: ${steps[index].name}
+${context}
+
+${stepContent}`;
+}
@@ -2,37 +2,174 @@
 
 import { $, fs, path, chalk } from 'zx';
 import YAML from 'yaml';
-import { ensureRepoExists } from './repository.mjs';
+import pLimit from 'p-limit';
+import { ensureRepoExists, listUpstreamBranches } from './repository.mjs';
+import { HOOK_POINTS, runHook } from './hooks.mjs';
+import { isBranchSelector, parseBranchSelector, selectBranches } from './branches.mjs';
+import { validateVariables, taskVariables, findMissingVariables, renderTemplate, UNDEFINED_VARIABLE_HINT } from './template.mjs';
+import { pickOverrides } from './overrides.mjs';
+import { createProvider } from './providers/index.mjs';
+import { parseExcludeRules, findExcludeRule, validateConditions, checkConditions } from './conditions.mjs';
+import { RunState, RUN_STATE_FILE } from './runstate.mjs';
+import { calculateDuration, formatDuration } from './utils.mjs';
+import { DEFAULT_PROMPT_TEMPLATE, promptVariables, checkPromptTemplate } from './prompt.mjs';
+import { getBundleIdentity, buildTaskManifest, writeTaskManifest, readTaskManifest } from './manifest.mjs';
+import { resolveBundleChain } from './config.mjs';
+import { stepId, renderStepTask } from './steps.mjs';
 
 /**
- * Parse target.yml file
- * @param {string} targetFile - Path to target.yml
- * @returns {Array} Array of {org, repo, branch} objects
+ * Read a YAML file of targets
+ * @param {string} file - target.yml or target set file
+ * @returns {Promise<Object>} Parsed content (an empty object for an empty file)
  */
-export async function parseTargetFile(targetFile) {
+async function readTargetYaml(file) {
   try {
-    const content = await fs.readFile(targetFile, 'utf-8');
-    const data = YAML.parse(content);
+    return YAML.parse(await fs.readFile(file, 'utf-8')) || {};
+  } catch (error) {
+    throw new Error(`${file}: ${error.message}`);
+  }
+}
+
+/**
+ * Expand `use` entries into the items of the named target sets (targets/<name>.yml)
+ * Other keys of a `use` entry replace the values of every item of the set.
+ * @param {Array} items - Target items
+ * @param {string} where - Description of the list for messages, like `target.yml target`
+ * @param {string} targetsDir - Target sets directory
+ * @param {Set<string>} files - Collects the target set files used
+ * @param {string[]} stack - Target sets being expanded (to detect cycles)
+ * @returns {Promise<Object[]>} [{item, where}] without `use` entries
+ * @throws {Error} If a target set is missing, invalid or uses itself
+ */
+async function expandTargetSets(items, where, targetsDir, files, stack = []) {
+  const expanded = [];
+  for (const [index, item] of items.entries()) {
+    const itemWhere = `${where}[${index}]`;
+    if (item?.use === undefined) {
+      expanded.push({ item, where: itemWhere });
+      continue;
+    }
 
-    if (!data || !data.target || !Array.isArray(data.target)) {
-      throw new Error('Invalid target.yml format: missing or invalid "target" array');
+    const { use, ...replacements } = item;
+    if (typeof use !== 'string' || !use.trim()) {
+      throw new Error(`use of ${itemWhere} must be the name of a target set in ${targetsDir}/`);
+    }
+    if (stack.includes(use)) {
+      throw new Error(`Target set cycle: ${[...stack, use].join(' → ')}`);
+    }
+    const setFile = path.join(targetsDir, `${use}.yml`);
+    if (!(await fs.pathExists(setFile))) {
+      throw new Error(`Target set '${use}' used by ${itemWhere} not found (${setFile})`);
+    }
+    files.add(setFile);
+
+    const data = await readTargetYaml(setFile);
+    if (!Array.isArray(data.target)) {
+      throw new Error(`${setFile}: missing or invalid "target" array`);
+    }
+    const setItems = await expandTargetSets(data.target, `${use}.yml target`, targetsDir, files, [...stack, use]);
+    expanded.push(...setItems.map(entry => ({ item: { ...entry.item, ...replacements }, where: `${entry.where} via ${itemWhere}` })));
+  }
+  return expanded;
+}
+
+/**
+ * Read the target items of a bundle, resolving bundle inheritance and target sets
+ * The nearest target.yml in the bundle chain that has a `target` list provides the items; the `exclude`
+ * rules of every target.yml in the chain apply.
+ * @param {string} targetFile - Path to the bundle's target.yml (or the nearest one it inherits)
+ * @param {string} targetsDir - Target sets directory
+ * @returns {Promise<Object>} {items: [{item, where}], exclude: raw top-level rules, files: target.yml and target set files read}
+ * @throws {Error} If no target list is found or a bundle or target set cannot be resolved
+ */
+export async function loadTargetData(targetFile, targetsDir = 'targets') {
+  const chain = await resolveBundleChain(path.dirname(targetFile));
+  const files = new Set();
+  const exclude = [];
+  let items = null;
+
+  for (const dir of chain) {
+    const file = path.join(dir, 'target.yml');
+    if (!(await fs.pathExists(file))) {
+      continue;
+    }
+    files.add(file);
+    const data = await readTargetYaml(file);
+    if (data.exclude !== undefined && !Array.isArray(data.exclude)) {
+      throw new Error(`exclude of ${file} must be a list of {org, repo, branch} rules`);
     }
+    exclude.push(...(data.exclude || []));
+    if (!items && data.target !== undefined) {
+      if (!Array.isArray(data.target)) {
+        throw new Error(`Invalid ${file} format: "target" must be an array`);
+      }
+      items = await expandTargetSets(data.target, 'target', targetsDir, files);
+    }
+  }
+
+  if (!items) {
+    throw new Error('Invalid target.yml format: missing or invalid "target" array');
+  }
+  return { items, exclude, files: [...files] };
+}
+
+/**
+ * Parse target.yml file
+ * Branch entries that are patterns (see lib/branches.mjs) produce targets with a `selector`
+ * and no branch; resolve them with resolveTargets().
+ * Repos and branches may be given as {name, vars}; `vars` of the item, repo and branch are merged in that order.
+ * An item can also override settings for its targets (see TARGET_OVERRIDE_KEYS).
+ * `exclude` rules (top-level and per item) are applied by resolveTargets(), `when` conditions after the worktree is created.
+ * Items and rules inherited from extended bundles and `use` entries are resolved first (see loadTargetData).
+ * @param {string} targetFile - Path to target.yml
+ * @param {Object} options - Parse options
+ * @param {string} options.targetsDir - Target sets directory (default: targets)
+ * @returns {Array} Array of {org, repo, branch, selector, canary, vars, overrides, exclude, conditions} objects
+ */
+export async function parseTargetFile(targetFile, options = {}) {
+  try {
+    const data = await loadTargetData(targetFile, options.targetsDir);
 
     const targets = [];
+    const globalExclude = parseExcludeRules(data.exclude, 'target.yml');
 
-    for (const item of data.target) {
+    for (const { item } of data.items) {
       if (!item.org || !item.repos || !item.branches) {
         console.warn('⚠️  Warning: Skipping invalid target item:', item);
         continue;
       }
 
+      validateVariables(item.vars, `target ${item.org}`);
+      const overrides = pickOverrides(item, `target ${item.org}`);
+      const exclude = [...globalExclude, ...parseExcludeRules(item.exclude, `target ${item.org}`, item.org)];
+      validateConditions(item.when, `target ${item.org}`);
+
       // Generate all combinations of repos and branches for this org
-      for (const repo of item.repos) {
-        for (const branch of item.branches) {
+      for (const repoEntry of item.repos) {
+        const repo = typeof repoEntry === 'object' ? repoEntry.name : repoEntry;
+        if (!repo) {
+          throw new Error(`Repository entry of ${item.org} has no name: ${JSON.stringify(repoEntry)}`);
+        }
+        validateVariables(repoEntry.vars, `repo ${item.org}/${repo}`);
+
+        for (const branchEntry of item.branches) {
+          const selector = isBranchSelector(branchEntry) ? parseBranchSelector(branchEntry) : null;
+          const branch = selector ? null : (typeof branchEntry === 'object' ? branchEntry.name : branchEntry);
+          if (!selector && !branch) {
+            throw new Error(`Branch entry of ${item.org}/${repo} has no name: ${JSON.stringify(branchEntry)}`);
+          }
+          validateVariables(branchEntry.vars, `branch ${selector ? selector.label : branch} of ${item.org}/${repo}`);
+
           targets.push({
             org: item.org,
             repo: repo,
-            branch: branch,
+            branch,
+            selector,
+            canary: item.canary === true,
+            vars: { ...item.vars, ...repoEntry.vars, ...branchEntry.vars },
+            overrides,
+            exclude,
+            conditions: item.when || [],
           });
         }
       }
@@ -44,6 +181,115 @@ export async function parseTargetFile(targetFile) {
   }
 }
 
+/**
+ * Task, guide and step prompt files of a target, applying its overrides
+ * @param {Object} target - Target from parseTargetFile
+ * @param {Object} paths - File paths configuration
+ * @returns {Object} {taskFile, guideFile, 'step:<name>': prompt file of each step}
+ */
+export function targetFiles(target, paths) {
+  const { taskFile, guideFile } = target.overrides || {};
+  return {
+    taskFile: taskFile ? path.join(paths.bundleDir, taskFile) : paths.taskFile,
+    guideFile: guideFile ? path.join(paths.bundleDir, guideFile) : paths.guideFile,
+    ...Object.fromEntries((paths.steps || []).map(step => [`step:${step.name}`, step.file])),
+  };
+}
+
+/**
+ * Read the task, guide and step prompt files used by any target
+ * Formatting is kept as written; only leading blank lines and trailing whitespace are removed.
+ * @param {Array} targets - Targets from parseTargetFile
+ * @param {Object} paths - File paths configuration
+ * @returns {Promise<Map<string, string>>} File content by path
+ * @throws {Error} If a file does not exist
+ */
+export async function readTemplateFiles(targets, paths) {
+  const files = new Set(targets.flatMap(target => Object.values(targetFiles(target, paths))));
+  const templates = new Map();
+  for (const file of files) {
+    if (!(await fs.pathExists(file))) {
+      throw new Error(`${file} not found`);
+    }
+    const content = await fs.readFile(file, 'utf-8');
+    templates.set(file, content.replace(/^(\s*\n)+/, '').trimEnd());
+  }
+  return templates;
+}
+
+/**
+ * Check that each target's task, guide and step prompt files only use variables the target defines
+ * @param {Array} targets - Targets from parseTargetFile
+ * @param {Function} templatesFor - (target) => template text by source name, e.g. {'bundle/task.md': '...'}
+ * @returns {string[]} One message per target and template with undefined variables
+ */
+export function checkTemplateVariables(targets, templatesFor) {
+  const problems = [];
+  for (const target of targets) {
+    // The branch of a pattern target is not known yet, but as a built-in it is always defined
+    const variables = taskVariables({ ...target, branch: target.branch ?? '' }, 0);
+    const name = `${target.org}/${target.repo}@${target.branch ?? target.selector.label}`;
+    for (const [source, template] of Object.entries(templatesFor(target))) {
+      const missing = findMissingVariables(template, variables);
+      if (missing.length > 0) {
+        problems.push(`${source} uses undefined variable(s) for ${name}: ${missing.join(', ')}; ${UNDEFINED_VARIABLE_HINT}`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Expand branch selectors into one target per matching branch and drop excluded targets
+ * @param {Array} targets - Targets from parseTargetFile
+ * @param {Function} listBranches - Async (org, repo) => branch names, or null if they cannot be listed
+ * @returns {Object} {targets: concrete targets without duplicates, selections: [{org, repo, selector, branches}], excluded: [{org, repo, branch, rule}]}
+ */
+export async function resolveTargets(targets, listBranches) {
+  const resolved = [];
+  const selections = [];
+  const excluded = [];
+  const seen = new Set();
+
+  const add = (target) => {
+    const key = `${target.org}/${target.repo}@${target.branch}`;
+    if (seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    const rule = findExcludeRule(target, target.exclude || []);
+    if (rule) {
+      excluded.push({ org: target.org, repo: target.repo, branch: target.branch, rule: rule.label });
+    } else {
+      resolved.push(target);
+    }
+  };
+
+  for (const target of targets) {
+    const { org, repo, selector } = target;
+    if (!selector) {
+      add(target);
+      continue;
+    }
+
+    // A repository whose branches cannot be listed only drops its own pattern targets
+    let available;
+    try {
+      available = await listBranches(org, repo);
+    } catch (error) {
+      console.warn(`⚠️  Warning: Could not list branches of ${org}/${repo}: ${error.message}`);
+      available = null;
+    }
+    const branches = available ? selectBranches(available, selector) : null;
+    selections.push({ org, repo, selector: selector.label, branches });
+    for (const branch of branches || []) {
+      add({ ...target, branch, selector: null });
+    }
+  }
+
+  return { targets: resolved, selections, excluded };
+}
+
 /**
  * Sanitize branch name for use in directory names
  * @param {string} branch - Branch name
@@ -53,6 +299,82 @@ export function sanitizeBranchName(branch) {
   return branch.replace(/\//g, '_');
 }
 
+/**
+ * Name of the task directory for a target
+ * @param {number} taskNumber - 1-based task number
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @returns {string} Task directory name like 001_repo_branch
+ */
+export function getTaskDirName(taskNumber, repo, branch) {
+  return `${String(taskNumber).padStart(3, '0')}_${repo}_${sanitizeBranchName(branch)}`;
+}
+
+/**
+ * Stable ID of a task, independent of its position in target.yml
+ * @param {Object} target - Target {org, repo, branch}
+ * @returns {string} ID like org/repo@branch
+ */
+export function taskId(target) {
+  return `${target.org}/${target.repo}@${target.branch}`;
+}
+
+/**
+ * Read the task directories of an earlier generation from their manifests
+ * Directories without a usable manifest are left alone.
+ * @param {string} outputDir - Tasks directory
+ * @returns {Promise<Map<string, Object>>} Tasks by ID: {id, org, repo, branch, number, taskDirName, taskDirPath, repoPath}
+ */
+export async function readExistingTasks(outputDir) {
+  const existing = new Map();
+  if (!(await fs.pathExists(outputDir))) {
+    return existing;
+  }
+
+  for (const dirent of await fs.readdir(outputDir, { withFileTypes: true })) {
+    const taskDirPath = path.resolve(outputDir, dirent.name);
+    if (!dirent.isDirectory() || !(await fs.pathExists(path.join(taskDirPath, 'task.md')))) {
+      continue;
+    }
+
+    let manifest;
+    try {
+      manifest = await readTaskManifest(taskDirPath);
+    } catch (error) {
+      console.warn(`⚠️  Warning: Leaving ${dirent.name} alone: ${error.message}`);
+      continue;
+    }
+
+    existing.set(manifest.id, {
+      ...manifest.target,
+      id: manifest.id,
+      number: manifest.number,
+      taskDirName: dirent.name,
+      taskDirPath,
+      repoPath: manifest.paths.repoPath,
+    });
+  }
+  return existing;
+}
+
+/**
+ * Remove a task whose target is gone: its worktree is removed from the workspace repository, then its directory
+ * @param {Object} task - Existing task from readExistingTasks
+ * @param {string} workspaceDir - Workspace directory
+ * @returns {Promise<void>}
+ */
+async function retireTask(task, workspaceDir) {
+  const repoDir = path.join(workspaceDir, task.repo);
+  const worktreeRepoPath = task.repoPath;
+  if ((await fs.pathExists(repoDir)) && (await fs.pathExists(worktreeRepoPath))) {
+    const result = await $`git -C ${repoDir} worktree remove --force ${worktreeRepoPath}`.nothrow();
+    if (result.exitCode !== 0) {
+      console.warn(`⚠️  Warning: git worktree remove failed for ${worktreeRepoPath}: ${result.stderr.trim()}`);
+    }
+  }
+  await fs.remove(task.taskDirPath);
+}
+
 /**
  * Create git worktree for a branch in a repository subdirectory
  * @param {string} repoDir - Repository directory in workspace
@@ -101,45 +423,42 @@ export async function createWorktree(repoDir, taskDirPath, branch, repo) {
 }
 
 /**
- * Generate task file content
- * @param {Object} target - Target object {org, repo, branch}
+ * Generate task file content from a prompt template
+ * @param {Object} target - Target object {org, repo, branch, canary, vars}
+ * @param {number} index - 1-based task number
  * @param {string} taskDirPath - Task directory path (parent directory)
  * @param {string} worktreeRepoPath - Worktree repository subdirectory path
- * @param {string} guideContent - Guide content
- * @param {string} taskContent - Task content
+ * @param {string} guideContent - Guide content (already rendered)
+ * @param {string} taskContent - Task content (already rendered)
+ * @param {Object} prompt - Prompt template {template, source}; defaults to DEFAULT_PROMPT_TEMPLATE
  * @returns {string} Generated task file content
  */
-export function generateTaskContent(target, taskDirPath, worktreeRepoPath, guideContent, taskContent) {
-  const { org, repo, branch } = target;
-
-  return `# Task: ${repo}/${branch} (from ${org}/${repo})
-
-## Repository Info
-- **Organization**: ${org}
-- **Repository**: ${repo}
-- **Branch**: ${branch}
-- **Task Directory**: ${taskDirPath}
-- **Repository Code**: ${worktreeRepoPath}
-
-## Guide
-<guide>
-${guideContent}
-</guide>
-
-## Description
-<task>
-${taskContent}
-</task>
-`;
+export function generateTaskContent(target, index, taskDirPath, worktreeRepoPath, guideContent, taskContent, prompt = null) {
+  const { template, source } = prompt || { template: DEFAULT_PROMPT_TEMPLATE, source: 'default prompt template' };
+  const variables = promptVariables(target, index, {
+    taskId: taskId(target),
+    taskDirPath,
+    worktreeRepoPath,
+    guide: guideContent,
+    task: taskContent,
+  });
+  return renderTemplate(template, variables, source);
 }
 
 /**
  * Generate all task files
  * @param {Object} paths - File paths configuration
- * @returns {number} Number of generated tasks
+ * @param {Object} options - Generation options
+ * @param {Object} options.hooks - Bundle hooks (beforeGenerate, afterWorktree)
+ * @param {boolean} options.incremental - Keep existing tasks whose target is still listed instead of starting over
+ * @param {number} options.setupJobs - Maximum number of repositories cloned or fetched at the same time
+ * @param {Object} options.config - Configuration, recorded in each task manifest
+ * @returns {number} Number of tasks in the output directory
  */
-export async function generateTasks(paths) {
+export async function generateTasks(paths, options = {}) {
   const { targetFile, taskFile, guideFile, outputDir, workspaceDir } = paths;
+  const { hooks = null, incremental = false, setupJobs = 4, config = {} } = options;
+  const bundleDir = path.resolve(paths.bundleDir);
 
   // Validate required files exist
   if (!(await fs.pathExists(targetFile))) {
@@ -152,34 +471,129 @@ export async function generateTasks(paths) {
     throw new Error(`${guideFile} not found`);
   }
 
-  // Read task and guide content
-  const taskContent = (await fs.readFile(taskFile, 'utf-8'))
-    .split('\n')
-    .filter(line => line.trim())
-    .join('\n');
-
-  const guideContent = (await fs.readFile(guideFile, 'utf-8'))
-    .split('\n')
-    .filter(line => line.trim())
-    .join('\n');
+  // A failing beforeGenerate hook aborts generation
+  await runHook(hooks, HOOK_POINTS.BEFORE_GENERATE, {
+    bundleDir,
+    outputDir: path.resolve(outputDir),
+    workspaceDir: path.resolve(workspaceDir),
+  });
 
   // Parse target file
   console.log(`📂 Parsing ${targetFile}...`);
-  const targets = await parseTargetFile(targetFile);
+  const targets = await parseTargetFile(targetFile, { targetsDir: paths.targetsDir });
   console.log(`📋 Found ${targets.length} target combinations`);
 
-  // Clean and create output directory
-  console.log(`🧹 Cleaning up existing tasks directory...`);
-  await fs.remove(outputDir);
-  await fs.ensureDir(outputDir);
+  // Read task, guide and step prompt content (targets may override the task and guide files)
+  const templates = await readTemplateFiles(targets, paths);
+  const templatesFor = (target) => Object.fromEntries(
+    Object.values(targetFiles(target, paths)).map(file => [file, templates.get(file)])
+  );
+  if (paths.steps.length > 0) {
+    console.log(`🪜 Each task runs in ${paths.steps.length} steps: ${paths.steps.map(step => step.name).join(' → ')}`);
+  }
+
+  // The bundle's prompt template controls the layout of task.md
+  let prompt = null;
+  if (paths.promptFile) {
+    if (!(await fs.pathExists(paths.promptFile))) {
+      throw new Error(`${paths.promptFile} not found`);
+    }
+    prompt = { template: (await fs.readFile(paths.promptFile, 'utf-8')).trimEnd() + '\n', source: paths.promptFile };
+    console.log(`📝 Using prompt template: ${paths.promptFile}`);
+  }
+
+  // Fail before touching anything if a target lacks a variable its templates use
+  const templateProblems = [
+    ...checkTemplateVariables(targets, templatesFor),
+    ...(prompt ? checkPromptTemplate(prompt.template, prompt.source, targets) : []),
+  ];
+  if (templateProblems.length > 0) {
+    throw new Error(`Templates cannot be rendered:\n   ${templateProblems.join('\n   ')}`);
+  }
+
+  const existingTasks = incremental ? await readExistingTasks(outputDir) : new Map();
+  if (incremental) {
+    console.log(`♻️  Incremental generation: ${existingTasks.size} existing tasks in ${outputDir}`);
+  }
 
   // Create workspace directory
   await fs.ensureDir(workspaceDir);
 
+  // Each repository is listed once, however many of its branches are targeted
+  const repositories = [];
+  for (const { org, repo, overrides } of targets) {
+    if (!repositories.some(entry => entry.org === org && entry.repo === repo)) {
+      repositories.push({ org, repo, provider: createProvider(overrides?.provider) });
+    }
+  }
+
+  // Each repository is set up (cloned or fetched) once, with up to setupJobs repositories at a time.
+  // A failing setup only drops the tasks of that repository.
+  const setupLimit = pLimit(setupJobs);
+  const repoSetups = new Map();
+  const workspaceSetups = new Map();
+  const setupRepository = (org, repo) => {
+    const key = `${org}/${repo}`;
+    const { provider } = repositories.find(entry => entry.org === org && entry.repo === repo);
+    if (!repoSetups.has(key)) {
+      // The same repository name from two orgs shares a workspace directory, so those set up one after the other
+      const previous = workspaceSetups.get(repo) || Promise.resolve();
+      const setup = previous.then(() => setupLimit(async () => {
+        console.log(`🔧 Setting up repository: ${org}/${repo}`);
+        try {
+          return await ensureRepoExists(org, repo, workspaceDir, provider);
+        } catch (error) {
+          console.error(`   ❌ Error: Failed to set up repository ${org}/${repo}: ${error.message}`);
+          return false;
+        }
+      }));
+      repoSetups.set(key, setup);
+      workspaceSetups.set(repo, setup);
+    }
+    return repoSetups.get(key);
+  };
+
+  console.log(`🔧 Setting up ${repositories.length} repositories (up to ${setupJobs} at a time)...`);
+  const setupStartTime = Date.now();
+  const setupResults = await Promise.all(repositories.map(({ org, repo }) => setupRepository(org, repo)));
+  const failedSetups = repositories.filter((_, index) => !setupResults[index]);
+  console.log(`🔧 Repository setup finished in ${formatDuration(calculateDuration(setupStartTime, Date.now()))}: ${repositories.length - failedSetups.length} ready, ${failedSetups.length} failed`);
+  for (const { org, repo } of failedSetups) {
+    console.warn(`⚠️  Warning: Failed to set up repository ${org}/${repo}, its tasks will be skipped`);
+  }
+
+  // Branch patterns are resolved against the upstream branches just fetched into the workspace clone,
+  // the same refs the worktrees are created from
+  const { targets: resolvedTargets, selections, excluded } = await resolveTargets(targets, async (org, repo) => {
+    if (!(await setupRepository(org, repo))) {
+      return null;
+    }
+    return listUpstreamBranches(path.join(workspaceDir, repo));
+  });
+  for (const selection of selections) {
+    if (!selection.branches) {
+      console.warn(`⚠️  Warning: Could not resolve branches ${selection.selector} for ${selection.org}/${selection.repo}, skipping...`);
+    } else if (selection.branches.length === 0) {
+      console.warn(`⚠️  Warning: No upstream branches of ${selection.org}/${selection.repo} match ${selection.selector}`);
+    } else {
+      console.log(`🌿 ${selection.org}/${selection.repo} ${selection.selector} -> ${selection.branches.join(', ')}`);
+    }
+  }
+  for (const exclusion of excluded) {
+    console.log(`⏭️  Skipping ${exclusion.org}/${exclusion.repo}@${exclusion.branch}: excluded (${exclusion.rule})`);
+  }
+
+  // Clean and create output directory, unless existing tasks are kept.
+  // Only now that every target is resolved, so a failure up to here leaves the existing tasks alone.
+  if (!incremental) {
+    console.log(`🧹 Cleaning up existing tasks directory...`);
+    await fs.remove(outputDir);
+  }
+  await fs.ensureDir(outputDir);
+
   // Clean up any existing worktrees from previous runs
   console.log(`🧹 Cleaning up any stale worktrees...`);
-  for (const target of targets) {
-    const { repo } = target;
+  for (const { repo } of repositories) {
     const repoDir = path.join(workspaceDir, repo);
 
     if (await fs.pathExists(repoDir)) {
@@ -191,29 +605,80 @@ export async function generateTasks(paths) {
     }
   }
 
-  // Generate task files with worktrees
+  // Existing tasks whose target is no longer listed (or now excluded) are retired first,
+  // which also frees their branches for new worktrees
+  const targetIds = new Set(resolvedTargets.map(taskId));
+  const retiredTasks = [...existingTasks.values()].filter(task => !targetIds.has(task.id));
+  for (const task of retiredTasks) {
+    console.log(`🗑️  Retiring ${task.taskDirName} (${task.id} is no longer a target)`);
+    await retireTask(task, workspaceDir);
+  }
+  if (retiredTasks.length > 0 && (await fs.pathExists(path.join(outputDir, RUN_STATE_FILE)))) {
+    const runState = await RunState.load(outputDir);
+    runState.forget(retiredTasks.map(task => task.taskDirName));
+    await runState.save();
+  }
+
+  // Write task.md and the step prompts (at the task directory root, NOT inside the worktree) and then task.json,
+  // so a task with a manifest is always complete
+  const bundle = await getBundleIdentity(bundleDir);
+  const writeTaskFiles = async (target, taskNumber, taskDirPath, worktreeRepoPath) => {
+    const variables = taskVariables(target, taskNumber);
+    const files = targetFiles(target, paths);
+    const guideContent = renderTemplate(templates.get(files.guideFile), variables, files.guideFile);
+    const taskContent = renderTemplate(templates.get(files.taskFile), variables, files.taskFile);
+    const taskFileContent = generateTaskContent(target, taskNumber, taskDirPath, worktreeRepoPath, guideContent, taskContent, prompt);
+    await fs.writeFile(path.join(taskDirPath, 'task.md'), taskFileContent, 'utf-8');
+
+    // Each step prompt is the task followed by the step's own instructions; prompts of removed steps are dropped
+    for (const file of await fs.readdir(taskDirPath)) {
+      if (/^step-\d+-.+\.md$/.test(file)) {
+        await fs.remove(path.join(taskDirPath, file));
+      }
+    }
+    const steps = [];
+    for (const [index, step] of paths.steps.entries()) {
+      const stepContent = renderStepTask(taskContent, renderTemplate(templates.get(step.file), variables, step.file), index, paths.steps);
+      const stepFile = path.join(taskDirPath, `${stepId(index, step)}.md`);
+      await fs.writeFile(stepFile, generateTaskContent(target, taskNumber, taskDirPath, worktreeRepoPath, guideContent, stepContent, prompt), 'utf-8');
+      steps.push({ name: step.name, file: stepFile, agent: step.agent });
+    }
+
+    const task = { id: taskId(target), number: taskNumber, taskDirPath, worktreeRepoPath, steps };
+    await writeTaskManifest(taskDirPath, buildTaskManifest(target, task, bundle, config));
+  };
+
+  // Generate task files with worktrees; new tasks are numbered after the existing ones
   console.log(`📂 Generating task worktrees in ${outputDir} directory...`);
-  let taskCounter = 1;
+  let taskCounter = Math.max(0, ...[...existingTasks.values()].map(task => task.number)) + 1;
   let successCount = 0;
+  let keptCount = 0;
 
-  for (const target of targets) {
+  for (const target of resolvedTargets) {
     const { org, repo, branch } = target;
+    const existing = existingTasks.get(taskId(target));
+    const taskNumber = existing ? existing.number : taskCounter;
+    const taskDirName = existing ? existing.taskDirName : getTaskDirName(taskCounter, repo, branch);
+    const taskDirPath = path.resolve(path.join(outputDir, taskDirName));
+    const repoDir = path.join(workspaceDir, repo);
+
+    // Kept tasks keep their worktree, logs and results; only task.md and task.json are refreshed
+    if (existing && (await fs.pathExists(existing.repoPath))) {
+      await writeTaskFiles(target, taskNumber, taskDirPath, existing.repoPath);
+      console.log(`   ♻️  Kept: ${taskDirName} (task.md refreshed)`);
+      keptCount++;
+      successCount++;
+      continue;
+    }
 
     // Ensure repository exists in workspace
-    console.log(`🔧 Setting up repository: ${org}/${repo}`);
-    const setupSuccess = await ensureRepoExists(org, repo, workspaceDir);
+    const setupSuccess = await setupRepository(org, repo);
 
     if (!setupSuccess) {
       console.warn(`⚠️  Warning: Failed to set up repository ${org}/${repo}, skipping...`);
       continue;
     }
 
-    // Create worktree directory
-    const sanitizedBranch = sanitizeBranchName(branch);
-    const taskDirName = `${String(taskCounter).padStart(3, '0')}_${repo}_${sanitizedBranch}`;
-    const taskDirPath = path.resolve(path.join(outputDir, taskDirName));
-    const repoDir = path.join(workspaceDir, repo);
-
     // Create worktree in subdirectory
     console.log(`   🌲 Creating worktree: ${taskDirName}/${repo}`);
     const worktreeRepoPath = await createWorktree(repoDir, taskDirPath, branch, repo);
@@ -223,16 +688,48 @@ export async function generateTasks(paths) {
       continue;
     }
 
-    // Generate task.md file at task directory root (NOT inside worktree)
-    const taskFilePath = path.join(taskDirPath, 'task.md');
-    const taskFileContent = generateTaskContent(target, taskDirPath, worktreeRepoPath, guideContent, taskContent);
+    // Targets whose repository contents do not meet their `when` conditions are dropped
+    const unmetCondition = await checkConditions(worktreeRepoPath, target.conditions);
+    if (unmetCondition) {
+      console.log(`⏭️  Skipping ${org}/${repo}@${branch}: ${unmetCondition}`);
+      await $`git -C ${repoDir} worktree remove --force ${worktreeRepoPath}`.nothrow();
+      await fs.remove(taskDirPath);
+      continue;
+    }
+
+    // A failing afterWorktree hook drops the task
+    try {
+      await runHook(hooks, HOOK_POINTS.AFTER_WORKTREE, {
+        bundleDir,
+        taskName: taskDirName,
+        taskDir: taskDirPath,
+        repoDir: worktreeRepoPath,
+        org,
+        repo,
+        branch,
+      });
+    } catch (error) {
+      console.warn(`⚠️  Warning: ${error.message}, skipping ${org}/${repo}@${branch}...`);
+      await $`git -C ${repoDir} worktree remove --force ${worktreeRepoPath}`.nothrow();
+      await fs.remove(taskDirPath);
+      continue;
+    }
 
-    await fs.writeFile(taskFilePath, taskFileContent, 'utf-8');
+    await writeTaskFiles(target, taskNumber, taskDirPath, worktreeRepoPath);
     console.log(`   ✅ Created: ${taskDirName}/task.md`);
+    if (Object.keys(target.overrides).length > 0) {
+      console.log(`   ⚙️  Overrides: ${Object.keys(target.overrides).join(', ')}`);
+    }
 
-    taskCounter++;
+    if (!existing) {
+      taskCounter++;
+    }
     successCount++;
   }
 
+  if (incremental) {
+    console.log(`♻️  Incremental generation: ${keptCount} kept, ${successCount - keptCount} created, ${retiredTasks.length} retired`);
+  }
+
   return successCount;
 }
@@ -0,0 +1,99 @@
+#!/usr/bin/env zx
+
+/**
+ * Variables every task gets, which target.yml cannot redefine
+ */
+export const BUILTIN_VARIABLES = ['org', 'repo', 'branch', 'index'];
+
+/**
+ * Variables only the prompt template gets (see lib/prompt.mjs), which target.yml cannot define either
+ */
+export const PROMPT_VARIABLES = ['guide', 'task', 'repositoryInfo', 'resultInstructions', 'taskId', 'taskDir', 'repoPath', 'resultFile'];
+
+/**
+ * `{{ name }}` placeholders; `\{{` is a literal `{{`.
+ * Only plain identifiers are placeholders, so text like GitHub Actions' `${{ secrets.TOKEN }}` is left alone.
+ */
+const PLACEHOLDER = /(\\?)\{\{\s*([A-Za-z_]\w*)\s*\}\}/g;
+
+/**
+ * Appended to undefined variable errors: quoted Go or Helm templates (`{{ end }}`) look like placeholders too
+ */
+export const UNDEFINED_VARIABLE_HINT = 'define them in target.yml vars, or write \\{{ for literal braces (e.g. `\\{{ end }}` in a Go or Helm template)';
+
+/**
+ * Validate a `vars` map from target.yml
+ * @param {any} vars - Variables from a target, repo or branch entry
+ * @param {string} where - Description of the entry for error messages
+ * @throws {Error} If the variables are invalid
+ */
+export function validateVariables(vars, where) {
+  if (vars === undefined) {
+    return;
+  }
+  if (typeof vars !== 'object' || vars === null || Array.isArray(vars)) {
+    throw new Error(`vars of ${where} must be a map of names to values`);
+  }
+  for (const [name, value] of Object.entries(vars)) {
+    if (BUILTIN_VARIABLES.includes(name)) {
+      throw new Error(`vars of ${where} cannot redefine the built-in variable '${name}'`);
+    }
+    if (PROMPT_VARIABLES.includes(name)) {
+      throw new Error(`vars of ${where}: '${name}' is reserved for the prompt template`);
+    }
+    if (!/^[A-Za-z_]\w*$/.test(name)) {
+      throw new Error(`vars of ${where}: '${name}' is not a valid variable name (use letters, digits and _)`);
+    }
+    if (!['string', 'number', 'boolean'].includes(typeof value)) {
+      throw new Error(`vars of ${where}: '${name}' must be a string, number or boolean`);
+    }
+  }
+}
+
+/**
+ * Variables for a task: the target's own vars plus the built-ins
+ * @param {Object} target - Target {org, repo, branch, vars}
+ * @param {number} index - 1-based task number
+ * @returns {Object} Template variables
+ */
+export function taskVariables(target, index) {
+  return {
+    ...(target.vars || {}),
+    org: target.org,
+    repo: target.repo,
+    branch: target.branch,
+    index,
+  };
+}
+
+/**
+ * Names used in a template that have no value
+ * @param {string} template - Template text
+ * @param {Object} variables - Available variables
+ * @returns {string[]} Missing variable names (without duplicates)
+ */
+export function findMissingVariables(template, variables) {
+  const missing = new Set();
+  for (const [, escaped, name] of template.matchAll(PLACEHOLDER)) {
+    if (!escaped && !(name in variables)) {
+      missing.add(name);
+    }
+  }
+  return [...missing];
+}
+
+/**
+ * Render `{{ name }}` placeholders in a template
+ * @param {string} template - Template text
+ * @param {Object} variables - Variables to substitute
+ * @param {string} source - Template name for error messages (e.g. the file path)
+ * @returns {string} Rendered text
+ * @throws {Error} If the template uses a variable that is not defined
+ */
+export function renderTemplate(template, variables, source) {
+  const missing = findMissingVariables(template, variables);
+  if (missing.length > 0) {
+    throw new Error(`${source} uses undefined variable(s): ${missing.join(', ')}; ${UNDEFINED_VARIABLE_HINT}`);
+  }
+  return template.replace(PLACEHOLDER, (match, escaped, name) => (escaped ? match.slice(1) : String(variables[name])));
+}
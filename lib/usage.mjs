@@ -0,0 +1,66 @@
+#!/usr/bin/env zx
+
+/**
+ * Create an empty agent usage record
+ * @returns {Object} Usage {inputTokens, outputTokens, cacheCreationTokens, cacheReadTokens, costUsd, turns, tools}
+ */
+export function emptyUsage() {
+  return {
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    costUsd: 0,
+    turns: 0,
+    tools: {},
+  };
+}
+
+/**
+ * Total number of tokens in a usage record
+ * @param {Object} usage - Usage record
+ * @returns {number} Sum of input, output and cache tokens
+ */
+export function totalTokens(usage) {
+  if (!usage) {
+    return 0;
+  }
+  return usage.inputTokens + usage.outputTokens + usage.cacheCreationTokens + usage.cacheReadTokens;
+}
+
+/**
+ * Add one usage record to another
+ * @param {Object} total - Usage record to add into (modified in place)
+ * @param {Object|null} usage - Usage record to add (ignored if null)
+ * @returns {Object} The updated total
+ */
+export function addUsage(total, usage) {
+  if (!usage) {
+    return total;
+  }
+  total.inputTokens += usage.inputTokens;
+  total.outputTokens += usage.outputTokens;
+  total.cacheCreationTokens += usage.cacheCreationTokens;
+  total.cacheReadTokens += usage.cacheReadTokens;
+  total.costUsd += usage.costUsd;
+  total.turns += usage.turns;
+  for (const [tool, count] of Object.entries(usage.tools)) {
+    total.tools[tool] = (total.tools[tool] || 0) + count;
+  }
+  return total;
+}
+
+/**
+ * Format a usage record as a short human-readable summary
+ * @param {Object} usage - Usage record
+ * @returns {string} Summary like "12,345 tokens · $0.42 · 7 turns · 15 tool calls"
+ */
+export function formatUsage(usage) {
+  const toolCalls = Object.values(usage.tools).reduce((sum, count) => sum + count, 0);
+  return [
+    `${totalTokens(usage).toLocaleString('en-US')} tokens`,
+    `$${usage.costUsd.toFixed(2)}`,
+    `${usage.turns} turns`,
+    `${toolCalls} tool calls`,
+  ].join(' · ');
+}
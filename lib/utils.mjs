@@ -63,6 +63,9 @@ export function printUsage() {
   console.log('');
   console.log('📋 Usage: zx gen-and-run-tasks.mjs --bundle BUNDLE_PATH [OPTIONS]');
   console.log('   or:    npm start -- --bundle BUNDLE_PATH [OPTIONS]');
+  console.log('   or:    zx gen-and-run-tasks.mjs validate BUNDLE_PATH...  Check bundles without running them');
+  console.log('   or:    zx gen-and-run-tasks.mjs init BUNDLE_PATH [INIT OPTIONS]  Create a new bundle');
+  console.log('   or:    zx gen-and-run-tasks.mjs pr TASK_DIR --title TITLE [--body BODY]  Push a task\'s branch and open its pull request');
   console.log('');
   console.log('⚙️  Required:');
   console.log('  📦 --bundle PATH       Bundle directory containing target.yml and task.md (REQUIRED)');
@@ -71,21 +74,45 @@ export function printUsage() {
   console.log('  📝 --guide-file FILE   Specify custom guide file (default: GUIDE.md or from config)');
   console.log('  📝 --generate-only     Only generate task files, don\'t run them');
   console.log('  ▶️  --run-only         Only run existing task files (skip generation)');
+  console.log('  ♻️  --incremental      Keep existing tasks and worktrees, only add new targets and retire removed ones');
+  console.log('  🔍 --plan             Preview tasks, forks, clones and missing branches without changing anything');
+  console.log('  🔍 --plan-file FILE   Preview like --plan and also write the plan as JSON to FILE (implies --plan)');
+  console.log('  ♻️  --resume           Re-run existing tasks, skipping ones that already succeeded');
+  console.log('  🔁 --retry-failed     Re-run only tasks that failed, timed out, were interrupted or had an unknown outcome');
   console.log('  ⚙️  --max-jobs NUM     Concurrency limit (default: 4, use 1 for sequential execution)');
+  console.log('  🔧 --setup-jobs NUM   Repositories cloned or fetched in parallel during generation (default: 4)');
+  console.log('  ⏰ --task-timeout MIN  Kill a task\'s agent after MIN minutes (default: no limit)');
+  console.log('  ⏰ --run-timeout MIN   Stop the whole run after MIN minutes (default: no limit)');
   console.log('  🤖 --agent NAME       Execution agent: claude or opencode (default: claude)');
+  console.log('  📺 --dashboard        Show a live per-task dashboard (TTY only, falls back to line output)');
+  console.log('  📝 --report-format F  Run report formats: json,junit,markdown (default: all)');
+  console.log('  📝 --report-dir DIR   Directory for run reports (default: tasks/)');
   console.log('  ❓ --help, -h          Show this help message');
   console.log('');
+  console.log('🆕 Init options (asked for interactively when missing and stdin is a terminal):');
+  console.log('  🏢 --org ORG          Organization of the repositories');
+  console.log('  📚 --repos LIST       Comma-separated repositories (repo, or org/repo for other organizations)');
+  console.log('  🌿 --branches LIST    Comma-separated branches or patterns (default: main)');
+  console.log('  🤖 --agent, --max-jobs Written to the bundle config.json');
+  console.log('  📋 --guide            Also create a bundle GUIDE.md from the root guide');
+  console.log('  📦 --from BUNDLE      Copy target.yml from an existing bundle');
+  console.log('  📂 --from-workspace   Target the repositories checked out in workspace/');
+  console.log('');
   console.log('📦 Bundle structure:');
   console.log('  bundles/my-task/');
   console.log('  ├── target.yml         Repository and branch configuration (REQUIRED)');
   console.log('  ├── task.md            Task description and requirements (REQUIRED)');
   console.log('  ├── GUIDE.md           Bundle-specific workflow instructions (optional)');
+  console.log('  ├── prompt.md          Layout of the generated task.md (optional)');
   console.log('  └── config.json        Bundle-specific configuration (optional)');
   console.log('');
   console.log('💡 Examples:');
   console.log('  zx gen-and-run-tasks.mjs --bundle bundles/upgrade-deps');
   console.log('  npm start -- --bundle bundles/security-patch --max-jobs 8');
   console.log('  zx gen-and-run-tasks.mjs --bundle bundles/docs-sync --generate-only');
+  console.log('  zx gen-and-run-tasks.mjs --bundle bundles/upgrade-deps --plan --plan-file plan.json');
+  console.log('  zx gen-and-run-tasks.mjs validate bundles/*');
+  console.log('  zx gen-and-run-tasks.mjs init bundles/bump-go --org stolostron --repos ocm,cluster-proxy --branches main');
   console.log('  zx gen-and-run-tasks.mjs --bundle bundles/my-task --max-jobs 1  # Sequential');
   console.log('');
   console.log('🔄 Priority: Command line options > Bundle config > Defaults');
@@ -103,13 +130,36 @@ export function printUsage() {
  */
 export function parseArguments(argv) {
   const options = {
+    command: argv._[0] !== undefined ? String(argv._[0]) : undefined,
+    bundles: argv._.slice(1).map(String),
     bundle: argv.bundle,
     guideFile: argv['guide-file'],
     generateOnly: argv['generate-only'],
     runOnly: argv['run-only'],
+    incremental: argv.incremental,
+    plan: argv.plan,
+    planFile: argv['plan-file'] || undefined,
+    resume: argv.resume,
+    retryFailed: argv['retry-failed'],
     maxJobs: argv['max-jobs'] ? parseInt(argv['max-jobs']) : undefined,
+    setupJobs: argv['setup-jobs'] ? parseInt(argv['setup-jobs']) : undefined,
+    taskTimeout: argv['task-timeout'] !== undefined ? parseFloat(argv['task-timeout']) : undefined,
+    runTimeout: argv['run-timeout'] !== undefined ? parseFloat(argv['run-timeout']) : undefined,
     agent: argv.agent || undefined,
+    reportFormats: argv['report-format'] ? String(argv['report-format']).split(',').map(f => f.trim()).filter(Boolean) : undefined,
+    reportDir: argv['report-dir'] || undefined,
+    dashboard: argv.dashboard,
     help: argv.help || argv.h,
+    // init command
+    org: argv.org !== undefined ? String(argv.org) : undefined,
+    repos: argv.repos,
+    branches: argv.branches,
+    guide: argv.guide,
+    from: argv.from,
+    fromWorkspace: argv['from-workspace'],
+    // pr command
+    title: argv.title !== undefined ? String(argv.title) : undefined,
+    body: argv.body !== undefined ? String(argv.body) : undefined,
   };
 
   return options;
@@ -123,6 +173,8 @@ export function parseArguments(argv) {
  * @param {number} options.initialDelay - Initial delay in milliseconds (default: 1000)
  * @param {number} options.maxDelay - Maximum delay in milliseconds (default: 30000)
  * @param {string} options.operationName - Name of the operation for logging (default: 'Operation')
+ * @param {Function} options.onRetry - Async hook called with (nextAttempt, error) after the delay and before
+ *   the next attempt; throwing from it stops retrying with that error (optional)
  * @returns {Promise<any>} Result from the function
  * @throws {Error} Last error if all retries fail
  */
@@ -131,14 +183,19 @@ export async function retryWithBackoff(fn, options = {}) {
     maxRetries = 5,
     initialDelay = 1000,
     maxDelay = 30000,
-    operationName = 'Operation'
+    operationName = 'Operation',
+    onRetry = null,
   } = options;
 
   let lastError;
 
   for (let attempt = 0; attempt <= maxRetries; attempt++) {
+    if (attempt > 0 && onRetry) {
+      await onRetry(attempt, lastError);
+    }
+
     try {
-      return await fn();
+      return await fn(attempt);
     } catch (error) {
       lastError = error;
 
@@ -0,0 +1,214 @@
+#!/usr/bin/env zx
+
+import { fs, path } from 'zx';
+import YAML from 'yaml';
+import { checkSchema } from './schema.mjs';
+import { loadConfig, validateConfig, resolveFilePaths, resolveBundleChain } from './config.mjs';
+import { parseTargetFile, loadTargetData, targetFiles, checkTemplateVariables } from './taskgen.mjs';
+import { checkPromptTemplate } from './prompt.mjs';
+import { validateSteps } from './steps.mjs';
+
+/**
+ * Read and parse a bundle file
+ * @param {string} file - File path
+ * @param {Function} parse - Parser (JSON.parse or YAML.parse)
+ * @param {Function} error - Called with a message if the file cannot be parsed
+ * @returns {Promise<any>} Parsed content, or undefined if the file is missing or cannot be parsed
+ */
+async function readBundleFile(file, parse, error) {
+  if (!(await fs.pathExists(file))) {
+    return undefined;
+  }
+  try {
+    return parse(await fs.readFile(file, 'utf-8'));
+  } catch (parseError) {
+    error(`cannot be parsed: ${parseError.message.split('\n')[0]}`);
+    return undefined;
+  }
+}
+
+/**
+ * Find org/repo/branch combinations listed more than once in target.yml
+ * Branch patterns count by their pattern; a pattern that also matches a listed branch is not a duplicate.
+ * @param {Object[]} items - Target items from loadTargetData that passed the schema check
+ * @returns {string[]} One message per duplicate
+ */
+export function findDuplicateTargets(items) {
+  const seen = new Map();
+  for (const { item, where } of items) {
+    for (const repoEntry of item.repos) {
+      const repo = typeof repoEntry === 'object' ? repoEntry.name : repoEntry;
+      for (const branchEntry of item.branches) {
+        const branch = typeof branchEntry === 'object' ? (branchEntry.pattern ?? branchEntry.name) : branchEntry;
+        const key = `${item.org}/${repo}@${branch}`;
+        seen.set(key, [...(seen.get(key) || []), where]);
+      }
+    }
+  }
+
+  return [...seen.entries()]
+    .filter(([, places]) => places.length > 1)
+    .map(([key, places]) => `${key} is listed ${places.length} times (${[...new Set(places)].join(', ')})`);
+}
+
+/**
+ * Validate a bundle: its config.json and target.yml (and those of the bundles it extends, and the target
+ * sets it uses) against the published schemas, plus the checks generation would otherwise only fail on
+ * (duplicate targets, missing task, guide, step and prompt files, undefined template variables)
+ * Only files that pass the schema check are checked further, so each mistake is reported once.
+ * @param {string} bundlePath - Bundle directory
+ * @param {Object} options - Validation options
+ * @param {Object} options.config - Configuration to check (default: the bundle's config.json over the defaults)
+ * @param {boolean} options.targets - Also check target.yml and the files it uses (default: true)
+ * @returns {Promise<Object>} {errors, warnings} as lists of messages prefixed with the file they concern
+ */
+export async function validateBundle(bundlePath, options = {}) {
+  const { targets: checkTargets = true } = options;
+  const errors = [];
+  const warnings = [];
+  const report = (file, problem) => (problem.level === 'warning' ? warnings : errors).push(`${file}: ${problem.message}`);
+
+  if (!(await fs.pathExists(bundlePath))) {
+    return { errors: [`Bundle directory '${bundlePath}' not found`], warnings };
+  }
+
+  let chain;
+  try {
+    chain = await resolveBundleChain(bundlePath);
+  } catch (error) {
+    return { errors: [error.message], warnings };
+  }
+
+  // config.json is optional; the configuration itself is only checked once its keys are known to be valid
+  for (const dir of chain) {
+    const configFile = path.join(dir, 'config.json');
+    const bundleConfig = await readBundleFile(configFile, JSON.parse, message => errors.push(`${configFile} ${message}`));
+    const problems = bundleConfig === undefined ? [] : await checkSchema(bundleConfig, 'config.json');
+    problems.forEach(problem => report(configFile, problem));
+  }
+
+  let config = options.config;
+  if (!config && errors.length === 0) {
+    config = await loadConfig({}, bundlePath);
+  }
+  if (config) {
+    try {
+      validateConfig(config);
+    } catch (error) {
+      errors.push(`${path.join(bundlePath, 'config.json')}: ${error.message}`);
+    }
+  }
+  if (!checkTargets) {
+    return { errors, warnings };
+  }
+
+  // Step prompts are only looked for once the steps themselves are valid (validateConfig reports them otherwise)
+  const { guideFile = 'GUIDE.md', promptTemplate = null } = config || {};
+  let steps = null;
+  try {
+    validateSteps(config?.steps);
+    steps = config?.steps ?? null;
+  } catch {
+    // Already reported by validateConfig
+  }
+  const paths = await resolveFilePaths(bundlePath, guideFile, promptTemplate, steps);
+  for (const file of [paths.taskFile, paths.guideFile]) {
+    if (!(await fs.pathExists(file))) {
+      errors.push(`${file} not found`);
+    }
+  }
+
+  if (!(await fs.pathExists(paths.targetFile))) {
+    errors.push(`${paths.targetFile} not found`);
+    return { errors, warnings };
+  }
+
+  // Every target.yml in the chain contributes (items or exclude rules), so each one is checked
+  const targetErrorCount = errors.length;
+  for (const dir of chain) {
+    const targetFile = path.join(dir, 'target.yml');
+    const data = await readBundleFile(targetFile, YAML.parse, message => errors.push(`${targetFile} ${message}`));
+    const problems = data === undefined ? [] : await checkSchema(data ?? {}, 'target.yml');
+    problems.forEach(problem => report(targetFile, problem));
+  }
+  if (errors.length > targetErrorCount) {
+    return { errors, warnings };
+  }
+
+  let data;
+  try {
+    data = await loadTargetData(paths.targetFile, paths.targetsDir);
+  } catch (error) {
+    errors.push(`${paths.targetFile}: ${error.message}`);
+    return { errors, warnings };
+  }
+  for (const setFile of data.files.filter(file => path.basename(file) !== 'target.yml')) {
+    const problems = await checkSchema(YAML.parse(await fs.readFile(setFile, 'utf-8')), 'targets/*.yml');
+    problems.forEach(problem => report(setFile, problem));
+  }
+  if (errors.length > targetErrorCount) {
+    return { errors, warnings };
+  }
+
+  findDuplicateTargets(data.items).forEach(message => errors.push(`${paths.targetFile}: ${message}`));
+
+  // Values the schema cannot express (variable names, patterns, regular expressions) are checked by the parser
+  let targets;
+  try {
+    targets = await parseTargetFile(paths.targetFile, { targetsDir: paths.targetsDir });
+  } catch (error) {
+    errors.push(`${paths.targetFile}: ${error.message}`);
+    return { errors, warnings };
+  }
+
+  // A target listed more than once is reported above; its files and templates are checked once
+  const targetKeys = targets.map(target => `${target.org}/${target.repo}@${target.branch ?? target.selector.label}`);
+  targets = targets.filter((_, index) => targetKeys.indexOf(targetKeys[index]) === index);
+
+  const templates = new Map();
+  for (const target of targets) {
+    for (const file of Object.values(targetFiles(target, paths))) {
+      if (!templates.has(file)) {
+        templates.set(file, (await fs.pathExists(file)) ? await fs.readFile(file, 'utf-8') : null);
+        if (templates.get(file) === null && file !== paths.taskFile && file !== paths.guideFile) {
+          errors.push(`${file} not found (used by ${target.org}/${target.repo})`);
+        }
+      }
+    }
+  }
+  errors.push(...checkTemplateVariables(targets, (target) => Object.fromEntries(
+    Object.values(targetFiles(target, paths))
+      .filter(file => templates.get(file) !== null)
+      .map(file => [file, templates.get(file)])
+  )));
+
+  if (paths.promptFile) {
+    if (await fs.pathExists(paths.promptFile)) {
+      errors.push(...checkPromptTemplate(await fs.readFile(paths.promptFile, 'utf-8'), paths.promptFile, targets));
+    } else {
+      errors.push(`${paths.promptFile} not found`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Print the problems found in a bundle
+ * @param {string} bundlePath - Bundle directory
+ * @param {Object} result - {errors, warnings} from validateBundle
+ */
+export function printValidation(bundlePath, result) {
+  const { errors, warnings } = result;
+  for (const message of errors) {
+    console.log(`   ❌ ${message}`);
+  }
+  for (const message of warnings) {
+    console.log(`   ⚠️  ${message}`);
+  }
+  if (errors.length === 0 && warnings.length === 0) {
+    console.log(`✅ ${bundlePath} is valid`);
+  } else {
+    console.log(`${errors.length > 0 ? '❌' : '⚠️ '} ${bundlePath}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+  }
+}
@@ -0,0 +1,94 @@
+#!/usr/bin/env zx
+
+import { fs } from 'zx';
+
+/**
+ * Maximum amount of failing command output passed back to the agent
+ */
+const MAX_FAILURE_OUTPUT_LINES = 200;
+const MAX_FAILURE_OUTPUT_CHARS = 20000;
+
+/**
+ * Merge the verify section of the configuration with the defaults
+ * Accepts either a list of commands or {commands, timeout, fixOnFailure}.
+ * @param {Object|string[]|undefined} verify - Verify section of the configuration
+ * @returns {Object} {commands, timeout (minutes, 0 = no limit), fixOnFailure}
+ */
+export function resolveVerifyConfig(verify) {
+  const settings = Array.isArray(verify) ? { commands: verify } : (verify || {});
+  return {
+    commands: settings.commands || [],
+    timeout: settings.timeout ?? 0,
+    fixOnFailure: settings.fixOnFailure ?? false,
+  };
+}
+
+/**
+ * Validate the verify section of the configuration
+ * @param {Object|string[]|undefined} verify - Verify configuration
+ * @throws {Error} If the verify configuration is invalid
+ */
+export function validateVerifyConfig(verify) {
+  if (verify === undefined || verify === null) {
+    return;
+  }
+  if (typeof verify !== 'object') {
+    throw new Error('verify must be a list of commands or an object with "commands"');
+  }
+
+  const settings = resolveVerifyConfig(verify);
+  if (!Array.isArray(settings.commands) || settings.commands.some(command => typeof command !== 'string' || !command.trim())) {
+    throw new Error('verify.commands must be an array of non-empty shell commands');
+  }
+  if (typeof settings.timeout !== 'number' || settings.timeout < 0) {
+    throw new Error(`verify.timeout must be a non-negative number of minutes (got: ${settings.timeout})`);
+  }
+  if (typeof settings.fixOnFailure !== 'boolean') {
+    throw new Error(`verify.fixOnFailure must be true or false (got: ${settings.fixOnFailure})`);
+  }
+}
+
+/**
+ * Verification log for an agent log: execution.log -> execution.verify.log
+ * @param {string} logFile - Agent log file
+ * @returns {string} Verification log file path
+ */
+export function verifyLogFile(logFile) {
+  return logFile.replace(/(\.log)?$/, '.verify.log');
+}
+
+/**
+ * Read the output a command appended to a log, keeping only its tail
+ * @param {string} logFile - Log file
+ * @param {number} offset - Size of the log before the command ran
+ * @returns {Promise<string>} Last lines of the command output
+ */
+export async function readCommandOutput(logFile, offset) {
+  const content = (await fs.readFile(logFile)).subarray(offset).toString('utf-8').trimEnd();
+  const output = content.split('\n').slice(-MAX_FAILURE_OUTPUT_LINES).join('\n').slice(-MAX_FAILURE_OUTPUT_CHARS);
+  return output.length < content.length ? `[... output truncated ...]\n${output}` : output;
+}
+
+/**
+ * Render the section appended to the task when the agent is asked to fix a failed verification
+ * The agent builds on its previous attempt: the changes are still in the worktree and any pull request stays open.
+ * @param {Object} failure - Failed verification {command, exitCode, timedOut, output}
+ * @param {string|null} prUrl - Pull request the previous attempt opened
+ * @returns {string} Markdown section
+ */
+export function renderVerifyFailure(failure, prUrl = null) {
+  const outcome = failure.timedOut ? 'timed out' : `failed with exit code ${failure.exitCode}`;
+  const publish = prUrl
+    ? `Commit the fix on the branch of the pull request you already opened (${prUrl}) and push it there; do not open another pull request. Report that pull request in the Result File.`
+    : 'If you already pushed a branch, commit the fix on it and push it again instead of starting over.';
+  return `
+## Verification Failure
+Your previous attempt at this task reported success, but the verification command \`${failure.command}\` ${outcome} in the repository code directory. Its output:
+
+\`\`\`
+${failure.output}
+\`\`\`
+
+Do not redo the task: your previous changes are still in the repository code directory. Fix the cause of this failure and make sure the verification command passes. ${publish} Then write the Result File again.
+`;
+}
@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { globToRegExp, isBranchSelector, parseBranchSelector, compareBranchVersions, selectBranches } from '../lib/branches.mjs';
+import { resolveTargets } from '../lib/taskgen.mjs';
+import { parseExcludeRules } from '../lib/conditions.mjs';
+
+describe('globToRegExp', () => {
+  it('matches * within one path segment and ** across segments', () => {
+    assert.ok(globToRegExp('release-*').test('release-2.10'));
+    assert.ok(!globToRegExp('release-*').test('release/2.10'));
+    assert.ok(globToRegExp('feature/**').test('feature/a/b'));
+  });
+
+  it('supports ? and character classes, and escapes regex characters', () => {
+    assert.ok(globToRegExp('v?.x').test('v1.x'));
+    assert.ok(!globToRegExp('v?.x').test('v1-x'));
+    assert.ok(globToRegExp('release-[0-9].*').test('release-2.1'));
+    assert.ok(!globToRegExp('release-[!0-9]*').test('release-2'));
+    assert.ok(globToRegExp('a[b').test('a[b'));
+  });
+});
+
+describe('isBranchSelector', () => {
+  it('tells patterns from branch names', () => {
+    assert.equal(isBranchSelector('main'), false);
+    assert.equal(isBranchSelector({ name: 'main', vars: {} }), false);
+    assert.equal(isBranchSelector('release-*'), true);
+    assert.equal(isBranchSelector('/^release-\\d+$/'), true);
+    assert.equal(isBranchSelector({ pattern: 'release-*', latest: 2 }), true);
+  });
+});
+
+describe('parseBranchSelector', () => {
+  it('parses globs, regexes and latest', () => {
+    assert.deepEqual(parseBranchSelector('release-*').latest, null);
+    assert.ok(parseBranchSelector('/^release-2\\.\\d+$/').regex.test('release-2.13'));
+    assert.equal(parseBranchSelector({ pattern: 'release-*', latest: 2 }).label, 'release-* (latest 2)');
+  });
+
+  it('rejects invalid selectors', () => {
+    assert.throws(() => parseBranchSelector({ pattern: '' }), /"pattern" must be a glob or \/regex\//);
+    assert.throws(() => parseBranchSelector({ pattern: 'release-*', latest: 0 }), /"latest" must be a positive integer/);
+    assert.throws(() => parseBranchSelector('/(/'), /Invalid branch selector/);
+  });
+});
+
+describe('compareBranchVersions', () => {
+  it('sorts embedded version numbers numerically', () => {
+    const branches = ['release-2.10', 'release-2.9', 'release-10.0', 'release-2.9.1', 'main'];
+    assert.deepEqual([...branches].sort(compareBranchVersions), ['main', 'release-2.9', 'release-2.9.1', 'release-2.10', 'release-10.0']);
+  });
+
+  it('orders equal numbers with leading zeros by length', () => {
+    assert.ok(compareBranchVersions('v1', 'v01') < 0);
+    assert.equal(compareBranchVersions('v1', 'v1'), 0);
+  });
+});
+
+describe('selectBranches', () => {
+  const branches = ['main', 'release-2.9', 'release-2.11', 'release-2.10', 'backplane-2.10'];
+
+  it('returns the matches in version order', () => {
+    assert.deepEqual(selectBranches(branches, parseBranchSelector('release-*')), ['release-2.9', 'release-2.10', 'release-2.11']);
+  });
+
+  it('keeps only the latest N matches', () => {
+    assert.deepEqual(selectBranches(branches, parseBranchSelector({ pattern: 'release-*', latest: 2 })), ['release-2.10', 'release-2.11']);
+  });
+});
+
+describe('resolveTargets', () => {
+  const listBranches = async (org, repo) => {
+    if (repo === 'unreachable') {
+      return null;
+    }
+    if (repo === 'broken') {
+      throw new Error('boom');
+    }
+    return ['main', 'release-2.9', 'release-2.10'];
+  };
+
+  it('expands pattern targets and drops duplicates and excluded branches', async () => {
+    const targets = [
+      { org: 'o', repo: 'a', branch: 'release-2.10' },
+      { org: 'o', repo: 'a', branch: null, selector: parseBranchSelector('release-*') },
+      { org: 'o', repo: 'b', branch: null, selector: parseBranchSelector('release-*'), exclude: parseExcludeRules([{ branch: 'release-2.9' }], 'test', 'o') },
+    ];
+    const { targets: resolved, selections, excluded } = await resolveTargets(targets, listBranches);
+
+    assert.deepEqual(resolved.map(target => `${target.repo}@${target.branch}`), ['a@release-2.10', 'a@release-2.9', 'b@release-2.10']);
+    assert.deepEqual(excluded, [{ org: 'o', repo: 'b', branch: 'release-2.9', rule: 'branch release-2.9' }]);
+    assert.deepEqual(selections.map(selection => selection.branches), [['release-2.9', 'release-2.10'], ['release-2.9', 'release-2.10']]);
+  });
+
+  it('only drops the pattern targets of repositories whose branches cannot be listed', async () => {
+    const targets = [
+      { org: 'o', repo: 'unreachable', branch: null, selector: parseBranchSelector('release-*') },
+      { org: 'o', repo: 'broken', branch: null, selector: parseBranchSelector('release-*') },
+      { org: 'o', repo: 'broken', branch: 'main' },
+    ];
+    const { targets: resolved, selections } = await resolveTargets(targets, listBranches);
+
+    assert.deepEqual(resolved.map(target => `${target.repo}@${target.branch}`), ['broken@main']);
+    assert.deepEqual(selections.map(selection => selection.branches), [null, null]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateBudget, BudgetTracker } from '../lib/budget.mjs';
+import { emptyUsage } from '../lib/usage.mjs';
+
+/**
+ * Usage record with some fields set
+ * @param {Object} fields - Fields to set on an empty usage record
+ * @returns {Object} Usage record
+ */
+function usageOf(fields) {
+  return { ...emptyUsage(), ...fields };
+}
+
+describe('validateBudget', () => {
+  it('accepts no budget and valid limits', () => {
+    assert.doesNotThrow(() => validateBudget(undefined));
+    assert.doesNotThrow(() => validateBudget({ task: { maxCostUsd: 1.5, maxTurns: 20 }, run: { maxTokens: 1000000 } }));
+  });
+
+  it('rejects unknown scopes and limits', () => {
+    assert.throws(() => validateBudget({ step: {} }), /budget\.step is not supported/);
+    assert.throws(() => validateBudget({ task: { maxMinutes: 5 } }), /budget\.task\.maxMinutes is not supported/);
+  });
+
+  it('rejects limits that are not positive numbers', () => {
+    assert.throws(() => validateBudget({ run: { maxCostUsd: 0 } }), /must be a positive number/);
+    assert.throws(() => validateBudget({ run: { maxTurns: '10' } }), /must be a positive number/);
+    assert.throws(() => validateBudget([]), /must be an object/);
+  });
+});
+
+describe('BudgetTracker', () => {
+  it('is disabled without limits', () => {
+    const budget = new BudgetTracker(undefined);
+    assert.equal(budget.enabled, false);
+    assert.equal(budget.taskLimitReached(usageOf({ costUsd: 100 })), null);
+    assert.equal(budget.runLimitReached(), null);
+  });
+
+  it('sums the parts of a task usage against the task limits', () => {
+    const budget = new BudgetTracker({ task: { maxCostUsd: 1, maxTurns: 10 } });
+    assert.equal(budget.taskLimitReached(usageOf({ costUsd: 0.6, turns: 4 })), null);
+    assert.equal(
+      budget.taskLimitReached(usageOf({ costUsd: 0.6, turns: 4 }), usageOf({ costUsd: 0.5, turns: 1 })),
+      'cost $1.10 reached limit of $1.00'
+    );
+    assert.equal(budget.taskLimitReached(usageOf({ turns: 6 }), usageOf({ turns: 4 })), '10 turns reached limit of 10');
+  });
+
+  it('counts all token kinds towards maxTokens', () => {
+    const budget = new BudgetTracker({ task: { maxTokens: 1000 } });
+    const usage = usageOf({ inputTokens: 400, outputTokens: 300, cacheCreationTokens: 200, cacheReadTokens: 100 });
+    assert.equal(budget.taskLimitReached(usage), '1,000 tokens reached limit of 1,000');
+  });
+
+  it('reduces the task limits by what the task already used', () => {
+    const budget = new BudgetTracker({ task: { maxCostUsd: 2, maxTokens: 1000, maxTurns: 8 } });
+    const spent = usageOf({ costUsd: 0.5, inputTokens: 1200, turns: 3 });
+    assert.deepEqual(budget.remainingTaskLimits(spent), { maxCostUsd: 1.5, maxTokens: 0, maxTurns: 5 });
+  });
+
+  it('counts finished and running tasks towards the run limits', () => {
+    const budget = new BudgetTracker({ run: { maxCostUsd: 3 } });
+    const first = usageOf({ costUsd: 1 });
+    const second = usageOf({ costUsd: 1 });
+    const finishFirst = budget.track(first);
+    budget.track(second);
+    finishFirst();
+    finishFirst();
+
+    assert.equal(budget.totals().costUsd, 2);
+    assert.equal(budget.runLimitReached(), null);
+
+    // Live usage of a running task is picked up as the agent reports it
+    second.costUsd = 2;
+    assert.equal(budget.runLimitReached(), 'cost $3.00 reached limit of $3.00');
+  });
+});
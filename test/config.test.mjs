@@ -0,0 +1,72 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import { fs, path } from 'zx';
+import { resolveBundleChain, findBundleFile, loadConfig } from '../lib/config.mjs';
+
+describe('bundle inheritance', () => {
+  let bundlesDir;
+
+  /**
+   * Create a bundle directory with the given config.json and files
+   * @param {string} name - Bundle directory name
+   * @param {Object|null} config - config.json content, or null for none
+   * @param {string[]} files - Other files to create
+   * @returns {Promise<string>} Bundle directory
+   */
+  async function writeBundle(name, config, files = []) {
+    const dir = path.join(bundlesDir, name);
+    await fs.ensureDir(dir);
+    if (config) {
+      await fs.writeJson(path.join(dir, 'config.json'), config);
+    }
+    for (const file of files) {
+      await fs.writeFile(path.join(dir, file), `${name}/${file}\n`);
+    }
+    return dir;
+  }
+
+  beforeEach(async () => {
+    bundlesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codesweep-config-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(bundlesDir);
+  });
+
+  it('resolves the chain nearest first and takes files from the nearest bundle that has them', async () => {
+    const base = await writeBundle('base', null, ['GUIDE.md', 'task.md']);
+    const middle = await writeBundle('middle', { extends: '../base' }, ['task.md']);
+    const child = await writeBundle('child', { extends: '../middle' });
+
+    const chain = await resolveBundleChain(child);
+    assert.deepEqual(chain.map(dir => path.resolve(dir)), [child, middle, base]);
+    assert.equal(path.resolve(await findBundleFile(chain, 'task.md')), path.join(middle, 'task.md'));
+    assert.equal(path.resolve(await findBundleFile(chain, 'GUIDE.md')), path.join(base, 'GUIDE.md'));
+    assert.equal(await findBundleFile(chain, 'prompt.md'), null);
+  });
+
+  it('detects inheritance cycles', async () => {
+    await writeBundle('a', { extends: '../b' });
+    await writeBundle('b', { extends: '../a' });
+    await assert.rejects(resolveBundleChain(path.join(bundlesDir, 'a')), /Bundle inheritance cycle: .*a → .*b → .*a$/);
+  });
+
+  it('rejects a missing or invalid parent', async () => {
+    await writeBundle('orphan', { extends: '../missing' });
+    await writeBundle('invalid', { extends: 42 });
+    await assert.rejects(resolveBundleChain(path.join(bundlesDir, 'orphan')), /Bundle '.*missing' extended by '.*orphan' not found/);
+    await assert.rejects(resolveBundleChain(path.join(bundlesDir, 'invalid')), /extends in .*config\.json must be a bundle directory/);
+  });
+
+  it('lets nearer bundles and then CLI options replace inherited keys', async () => {
+    await writeBundle('base', { agent: 'claude', maxJobs: 2, timeout: '30m' });
+    const child = await writeBundle('child', { extends: '../base', maxJobs: 4 });
+
+    const config = await loadConfig({ timeout: '1h', agent: undefined }, child);
+    assert.equal(config.agent, 'claude');
+    assert.equal(config.maxJobs, 4);
+    assert.equal(config.timeout, '1h');
+    assert.equal('extends' in config, false);
+  });
+});
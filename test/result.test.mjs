@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import { fs, path } from 'zx';
+import { validateTaskResult, readTaskResult, RESULT_FILE, TASK_STATUS } from '../lib/result.mjs';
+
+describe('validateTaskResult', () => {
+  it('accepts a minimal result', () => {
+    assert.deepEqual(validateTaskResult({ pass: true, reason: '' }), []);
+  });
+
+  it('accepts all optional fields', () => {
+    const result = { pass: true, reason: 'done', prUrl: 'https://example.com/pr/1', commits: ['abc'], changedFiles: ['go.mod'] };
+    assert.deepEqual(validateTaskResult(result), []);
+    assert.deepEqual(validateTaskResult({ ...result, prUrl: null }), []);
+  });
+
+  it('rejects anything but an object', () => {
+    for (const data of [null, [], 'pass', 1]) {
+      assert.deepEqual(validateTaskResult(data), ['result must be a JSON object']);
+    }
+  });
+
+  it('requires pass to be a boolean', () => {
+    assert.deepEqual(validateTaskResult({ pass: 'yes', reason: 'x' }), ['"pass" must be true or false']);
+  });
+
+  it('requires a reason when the task failed', () => {
+    assert.equal(validateTaskResult({ pass: false, reason: '  ' }).length, 1);
+    assert.equal(validateTaskResult({ pass: true }).length, 1);
+  });
+
+  it('checks the types of prUrl, commits and changedFiles', () => {
+    const errors = validateTaskResult({ pass: true, reason: '', prUrl: 42, commits: 'abc', changedFiles: [1] });
+    assert.deepEqual(errors, [
+      '"prUrl" must be a string or null',
+      '"commits" must be an array of strings',
+      '"changedFiles" must be an array of strings',
+    ]);
+  });
+});
+
+describe('readTaskResult', () => {
+  let taskDir;
+
+  before(async () => {
+    taskDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codesweep-result-'));
+  });
+
+  after(async () => {
+    await fs.remove(taskDir);
+  });
+
+  const writeResult = content => fs.writeFile(path.join(taskDir, RESULT_FILE), content, 'utf-8');
+
+  it('reports a missing result file as unknown', async () => {
+    await fs.remove(path.join(taskDir, RESULT_FILE));
+    const result = await readTaskResult(taskDir);
+    assert.equal(result.status, TASK_STATUS.UNKNOWN);
+    assert.match(result.reason, /did not write result\.json/);
+  });
+
+  it('reports malformed JSON as unknown', async () => {
+    await writeResult('{ "pass": true,');
+    const result = await readTaskResult(taskDir);
+    assert.equal(result.status, TASK_STATUS.UNKNOWN);
+    assert.match(result.reason, /^Malformed result\.json/);
+  });
+
+  it('reports an invalid result as unknown with the validation errors', async () => {
+    await writeResult(JSON.stringify({ pass: false, reason: '' }));
+    const result = await readTaskResult(taskDir);
+    assert.equal(result.status, TASK_STATUS.UNKNOWN);
+    assert.match(result.reason, /^Invalid result\.json: "reason" must be a string/);
+  });
+
+  it('maps pass to success or failed and fills in defaults', async () => {
+    await writeResult(JSON.stringify({ pass: true, reason: 'bumped', prUrl: 'https://example.com/pr/2' }));
+    assert.deepEqual(await readTaskResult(taskDir), {
+      status: TASK_STATUS.SUCCESS,
+      reason: 'bumped',
+      prUrl: 'https://example.com/pr/2',
+      commits: [],
+      changedFiles: [],
+    });
+
+    await writeResult(JSON.stringify({ pass: false, reason: 'tests fail', commits: ['abc'] }));
+    const failed = await readTaskResult(taskDir);
+    assert.equal(failed.status, TASK_STATUS.FAILED);
+    assert.equal(failed.prUrl, null);
+    assert.deepEqual(failed.commits, ['abc']);
+  });
+});
@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_ROLLOUT, resolveRollout, validateRollout, planWaves, checkWave } from '../lib/rollout.mjs';
+import { TASK_STATUS } from '../lib/result.mjs';
+
+const tasks = ['t1', 't2', 't3', 't4', 't5', 't6'];
+
+/**
+ * Build task results with the given statuses
+ * @param {...string} statuses - Task statuses
+ * @returns {Object[]} Task results
+ */
+const resultsOf = (...statuses) => statuses.map(status => ({ status }));
+
+describe('resolveRollout', () => {
+  it('is off without a rollout section and fills in the defaults otherwise', () => {
+    assert.equal(resolveRollout(undefined), null);
+    assert.deepEqual(resolveRollout({ canary: 2 }), { ...DEFAULT_ROLLOUT, canary: 2 });
+  });
+});
+
+describe('validateRollout', () => {
+  it('accepts a missing or valid rollout section', () => {
+    assert.doesNotThrow(() => validateRollout(undefined));
+    assert.doesNotThrow(() => validateRollout({ canary: 1, waveSize: 5, maxFailureRate: 0.2 }));
+  });
+
+  it('rejects invalid settings', () => {
+    assert.throws(() => validateRollout([]), /rollout must be an object/);
+    assert.throws(() => validateRollout({ canary: -1 }), /rollout\.canary must be a non-negative integer/);
+    assert.throws(() => validateRollout({ waveSize: 1.5 }), /rollout\.waveSize must be a non-negative integer/);
+    assert.throws(() => validateRollout({ maxFailureRate: 2 }), /rollout\.maxFailureRate must be a number between 0 and 1/);
+  });
+});
+
+describe('planWaves', () => {
+  it('runs every task in one wave when rollout is off', () => {
+    assert.deepEqual(planWaves(tasks, null), [tasks]);
+  });
+
+  it('runs the first tasks as canaries, then waves of waveSize', () => {
+    assert.deepEqual(planWaves(tasks, resolveRollout({ canary: 1, waveSize: 2 })), [['t1'], ['t2', 't3'], ['t4', 't5'], ['t6']]);
+  });
+
+  it('prefers flagged canaries over the canary count', () => {
+    assert.deepEqual(planWaves(tasks, resolveRollout({ canary: 1 }), new Set(['t3', 't5'])), [['t3', 't5'], ['t1', 't2', 't4', 't6']]);
+  });
+
+  it('has no canary wave when canary is 0 and nothing is flagged', () => {
+    assert.deepEqual(planWaves(tasks, resolveRollout({ waveSize: 4 })), [['t1', 't2', 't3', 't4'], ['t5', 't6']]);
+  });
+});
+
+describe('checkWave', () => {
+  it('continues while the failure rate stays within the threshold', () => {
+    const rollout = resolveRollout({ maxFailureRate: 0.5 });
+    assert.equal(checkWave(resultsOf(TASK_STATUS.SUCCESS, TASK_STATUS.FAILED), rollout), null);
+  });
+
+  it('halts above the threshold and explains why', () => {
+    const rollout = resolveRollout({ maxFailureRate: 0.25 });
+    assert.equal(
+      checkWave(resultsOf(TASK_STATUS.SUCCESS, TASK_STATUS.FAILED, TASK_STATUS.TIMED_OUT), rollout),
+      '2 of 3 tasks did not succeed (67%, threshold 25%)'
+    );
+  });
+
+  it('ignores skipped and not-started tasks', () => {
+    const rollout = resolveRollout({});
+    assert.equal(checkWave(resultsOf(TASK_STATUS.SUCCESS, TASK_STATUS.SKIPPED, TASK_STATUS.NOT_STARTED), rollout), null);
+    assert.equal(checkWave(resultsOf(TASK_STATUS.SKIPPED), rollout), null);
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import { fs, path } from 'zx';
+import { RunState, RUN_STATE_FILE, RUN_STATE_VERSION, RUN_STATUS, RESUME_MODE } from '../lib/runstate.mjs';
+import { TASK_STATUS } from '../lib/result.mjs';
+
+describe('RunState', () => {
+  let outputDir;
+
+  beforeEach(async () => {
+    outputDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codesweep-runstate-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(outputDir);
+  });
+
+  it('starts empty when there is no run state file', async () => {
+    const state = await RunState.load(outputDir);
+    assert.deepEqual(state.data.tasks, {});
+  });
+
+  it('saves and loads task outcomes', async () => {
+    const state = await RunState.load(outputDir);
+    state.register(['001_a_main', '002_b_main']);
+    await state.markStarted('001_a_main');
+    await state.markFinished('001_a_main', { status: TASK_STATUS.SUCCESS, reason: 'done', prUrl: 'https://example.com/pr/1', agent: 'claude' });
+
+    const loaded = await RunState.load(outputDir);
+    assert.equal(loaded.get('001_a_main').status, TASK_STATUS.SUCCESS);
+    assert.equal(loaded.get('001_a_main').attempts, 1);
+    assert.equal(loaded.get('001_a_main').prUrl, 'https://example.com/pr/1');
+    assert.equal(loaded.get('001_a_main').agent, 'claude');
+    assert.equal(loaded.get('002_b_main').status, RUN_STATUS.PENDING);
+  });
+
+  it('marks tasks left running by an unfinished run as interrupted', async () => {
+    const state = await RunState.load(outputDir);
+    await state.markStarted('001_a_main');
+
+    const loaded = await RunState.load(outputDir);
+    assert.equal(loaded.get('001_a_main').status, TASK_STATUS.INTERRUPTED);
+  });
+
+  it('rejects a run state of another version', async () => {
+    await fs.writeJson(path.join(outputDir, RUN_STATE_FILE), { version: RUN_STATE_VERSION + 1, tasks: {} });
+    await assert.rejects(RunState.load(outputDir), /Unsupported run state format/);
+  });
+
+  it('counts retries as attempts', async () => {
+    const state = await RunState.load(outputDir);
+    await state.markStarted('001_a_main');
+    await state.recordAttempt('001_a_main');
+    assert.equal(state.get('001_a_main').attempts, 2);
+  });
+
+  it('keeps saving after a failed write', async () => {
+    const missingDir = path.join(outputDir, 'missing');
+    const state = new RunState(missingDir);
+    await assert.rejects(state.save());
+
+    await fs.ensureDir(missingDir);
+    await state.save();
+    assert.ok(await fs.pathExists(path.join(missingDir, RUN_STATE_FILE)));
+  });
+
+  describe('shouldRun', () => {
+    const statuses = [
+      RUN_STATUS.PENDING,
+      TASK_STATUS.SUCCESS,
+      TASK_STATUS.FAILED,
+      TASK_STATUS.UNKNOWN,
+      TASK_STATUS.TIMED_OUT,
+      TASK_STATUS.BUDGET_EXCEEDED,
+      TASK_STATUS.INTERRUPTED,
+      TASK_STATUS.NOT_STARTED,
+      TASK_STATUS.SKIPPED,
+    ];
+    const stateWith = () => new RunState(outputDir, {
+      version: RUN_STATE_VERSION,
+      tasks: Object.fromEntries(statuses.map(status => [status, { status, attempts: 0 }])),
+    });
+    const selected = mode => statuses.filter(status => stateWith().shouldRun(status, mode));
+
+    it('runs everything without a resume mode', () => {
+      assert.deepEqual(selected(null), statuses);
+    });
+
+    it('skips only tasks that succeeded with --resume', () => {
+      assert.deepEqual(selected(RESUME_MODE.RESUME), statuses.filter(status => status !== TASK_STATUS.SUCCESS));
+    });
+
+    it('runs only tasks that ran and did not succeed with --retry-failed', () => {
+      assert.deepEqual(selected(RESUME_MODE.RETRY_FAILED), [
+        TASK_STATUS.FAILED,
+        TASK_STATUS.UNKNOWN,
+        TASK_STATUS.TIMED_OUT,
+        TASK_STATUS.BUDGET_EXCEEDED,
+        TASK_STATUS.INTERRUPTED,
+      ]);
+    });
+
+    it('treats unknown tasks as pending', () => {
+      assert.equal(stateWith().shouldRun('999_new_main', RESUME_MODE.RESUME), true);
+      assert.equal(stateWith().shouldRun('999_new_main', RESUME_MODE.RETRY_FAILED), false);
+    });
+  });
+});
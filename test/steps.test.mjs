@@ -0,0 +1,52 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSteps, stepId, stepLogFile, renderStepTask } from '../lib/steps.mjs';
+
+const steps = [
+  { name: 'bump', prompt: 'steps/bump.md' },
+  { name: 'fix-tests', prompt: 'steps/fix-tests.md' },
+  { name: 'docs', prompt: 'steps/docs.md' },
+];
+
+describe('validateSteps', () => {
+  it('accepts no steps or a list of valid steps', () => {
+    assert.doesNotThrow(() => validateSteps(undefined));
+    assert.doesNotThrow(() => validateSteps(steps));
+  });
+
+  it('rejects an empty list, bad names, duplicate names and missing prompts', () => {
+    assert.throws(() => validateSteps([]), /steps must be a non-empty list/);
+    assert.throws(() => validateSteps([{ name: 'a b', prompt: 'a.md' }]), /steps\[0\]\.name must contain only letters/);
+    assert.throws(() => validateSteps([steps[0], { name: 'bump', prompt: 'other.md' }]), /steps\[1\]\.name 'bump' is used by another step/);
+    assert.throws(() => validateSteps([{ name: 'bump', prompt: ' ' }]), /steps\[0\]\.prompt must be a file path/);
+  });
+
+  it('rejects an unknown agent', () => {
+    assert.throws(() => validateSteps([{ ...steps[0], agent: 'nope' }]), /steps\[0\]\.agent must be one of/);
+  });
+});
+
+describe('step files', () => {
+  it('numbers steps from 1 in their ID and log file', () => {
+    assert.equal(stepId(1, steps[1]), 'step-02-fix-tests');
+    assert.equal(stepLogFile('tasks/t/execution.log', 0, steps[0]), 'tasks/t/execution.step-01-bump.log');
+    assert.equal(stepLogFile('tasks/t/execution.attempt-2', 2, steps[2]), 'tasks/t/execution.attempt-2.step-03-docs.log');
+  });
+});
+
+describe('renderStepTask', () => {
+  it('tells the first step about the remaining steps', () => {
+    const task = renderStepTask('Upgrade Go', 'Bump go.mod', 0, steps);
+    assert.match(task, /^Upgrade Go\n\n## Step 1 of 3: bump\n/);
+    assert.match(task, /the remaining steps \(`fix-tests`, `docs`\) run after it/);
+    assert.doesNotMatch(task, /previous steps/);
+    assert.match(task, /Bump go\.mod$/);
+  });
+
+  it('tells the last step the previous steps have completed', () => {
+    const task = renderStepTask('Upgrade Go', 'Update docs', 2, steps);
+    assert.match(task, /## Step 3 of 3: docs/);
+    assert.match(task, /The previous steps \(`bump`, `fix-tests`\) have completed/);
+    assert.match(task, /This is the last step\./);
+  });
+});
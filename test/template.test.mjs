@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateVariables, taskVariables, findMissingVariables, renderTemplate } from '../lib/template.mjs';
+import { checkTemplateVariables } from '../lib/taskgen.mjs';
+
+describe('validateVariables', () => {
+  it('accepts scalar values with valid names', () => {
+    assert.doesNotThrow(() => validateVariables(undefined, 'target[0]'));
+    assert.doesNotThrow(() => validateVariables({ goVersion: '1.23', major: 2, lts: true }, 'target[0]'));
+  });
+
+  it('rejects built-in, reserved and invalid names', () => {
+    assert.throws(() => validateVariables({ branch: 'x' }, 'target[0]'), /cannot redefine the built-in variable 'branch'/);
+    assert.throws(() => validateVariables({ task: 'x' }, 'target[0]'), /'task' is reserved for the prompt template/);
+    assert.throws(() => validateVariables({ 'go-version': 'x' }, 'target[0]'), /not a valid variable name/);
+  });
+
+  it('rejects values that are not scalars', () => {
+    assert.throws(() => validateVariables({ list: [1] }, 'target[0]'), /must be a string, number or boolean/);
+    assert.throws(() => validateVariables(['a'], 'target[0]'), /must be a map of names to values/);
+  });
+});
+
+describe('taskVariables', () => {
+  it('adds the built-ins to the target variables', () => {
+    const target = { org: 'o', repo: 'r', branch: 'main', vars: { goVersion: '1.23' } };
+    assert.deepEqual(taskVariables(target, 3), { goVersion: '1.23', org: 'o', repo: 'r', branch: 'main', index: 3 });
+  });
+});
+
+describe('renderTemplate', () => {
+  const variables = { branch: 'release-2.10', goVersion: '1.23', index: 1 };
+
+  it('substitutes placeholders with or without spaces', () => {
+    assert.equal(renderTemplate('Go {{ goVersion }} on {{branch}} (#{{index}})', variables, 'task.md'), 'Go 1.23 on release-2.10 (#1)');
+  });
+
+  it('keeps escaped braces and non-identifier expressions literal', () => {
+    assert.equal(renderTemplate('\\{{ end }} ${{ secrets.TOKEN }} {{ .Values.image }}', variables, 'task.md'), '{{ end }} ${{ secrets.TOKEN }} {{ .Values.image }}');
+  });
+
+  it('fails on undefined variables and suggests escaping literal braces', () => {
+    assert.throws(() => renderTemplate('{{ end }} {{ verison }}', variables, 'task.md'), (error) => {
+      assert.match(error.message, /^task\.md uses undefined variable\(s\): end, verison; /);
+      assert.match(error.message, /\\\{\{ end \}\}/);
+      return true;
+    });
+  });
+});
+
+describe('findMissingVariables', () => {
+  it('lists each missing name once and ignores escaped ones', () => {
+    assert.deepEqual(findMissingVariables('{{ a }} {{ b }} {{ a }} \\{{ c }}', { b: 1 }), ['a']);
+  });
+});
+
+describe('checkTemplateVariables', () => {
+  it('reports each target and file that uses a variable the target does not define', () => {
+    const targets = [
+      { org: 'o', repo: 'a', branch: 'main', vars: { goVersion: '1.23' } },
+      { org: 'o', repo: 'b', branch: null, selector: { label: 'release-*' } },
+    ];
+    const problems = checkTemplateVariables(targets, () => ({ 'task.md': 'Go {{ goVersion }} on {{ branch }}', 'GUIDE.md': 'plain' }));
+
+    assert.equal(problems.length, 1);
+    assert.match(problems[0], /^task\.md uses undefined variable\(s\) for o\/b@release-\*: goVersion; /);
+  });
+});
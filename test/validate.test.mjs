@@ -0,0 +1,106 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import { fs, path } from 'zx';
+import { findDuplicateTargets, validateBundle } from '../lib/validate.mjs';
+import { checkSchema, suggestKey } from '../lib/schema.mjs';
+
+describe('suggestKey', () => {
+  it('suggests the closest known key', () => {
+    assert.equal(suggestKey('maxJob', ['maxJobs', 'agent', 'timeout']), 'maxJobs');
+    assert.equal(suggestKey('Agent', ['maxJobs', 'agent', 'timeout']), 'agent');
+  });
+
+  it('suggests nothing when no key is close', () => {
+    assert.equal(suggestKey('colour', ['maxJobs', 'agent', 'timeout']), null);
+  });
+});
+
+describe('checkSchema', () => {
+  it('accepts a valid target.yml', async () => {
+    assert.deepEqual(await checkSchema({ target: [{ org: 'o', repos: ['r'], branches: ['main'] }] }, 'target.yml'), []);
+  });
+
+  it('reports unknown keys with a suggestion', async () => {
+    const problems = await checkSchema({ target: [{ org: 'o', repo: ['r'], branches: ['main'] }] }, 'target.yml');
+    assert.ok(problems.some(problem => problem.level === 'error' && /target\[0\]\.repo is not a known key \(did you mean 'repos'\?\)/.test(problem.message)),
+      JSON.stringify(problems));
+  });
+
+  it('reports deprecated config keys as warnings', async () => {
+    const problems = await checkSchema({ parallel: true }, 'config.json');
+    assert.deepEqual(problems.map(problem => problem.level), ['warning']);
+    assert.match(problems[0].message, /parallel is deprecated: use maxJobs instead/);
+  });
+});
+
+describe('findDuplicateTargets', () => {
+  it('reports each org/repo/branch listed more than once', () => {
+    const items = [
+      { item: { org: 'o', repos: ['a', 'b'], branches: ['main', { pattern: 'release-*' }] }, where: 'target[0]' },
+      { item: { org: 'o', repos: [{ name: 'a' }], branches: ['main', 'release-2.9'] }, where: 'target[1]' },
+    ];
+    assert.deepEqual(findDuplicateTargets(items), ['o/a@main is listed 2 times (target[0], target[1])']);
+  });
+});
+
+describe('validateBundle', () => {
+  let bundleDir;
+
+  /**
+   * Write a bundle with a guide, a task and the given target.yml and config.json
+   * @param {string} targetYaml - target.yml content
+   * @param {Object} config - config.json content, or null for none
+   * @param {string} task - task.md content
+   */
+  async function writeBundle(targetYaml, config = null, task = 'Update {{ repo }} on {{ branch }}') {
+    await fs.writeFile(path.join(bundleDir, 'GUIDE.md'), 'Guide\n');
+    await fs.writeFile(path.join(bundleDir, 'task.md'), task);
+    await fs.writeFile(path.join(bundleDir, 'target.yml'), targetYaml);
+    if (config) {
+      await fs.writeJson(path.join(bundleDir, 'config.json'), config);
+    }
+  }
+
+  beforeEach(async () => {
+    bundleDir = await fs.mkdtemp(path.join(os.tmpdir(), 'codesweep-validate-'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(bundleDir);
+  });
+
+  it('accepts a valid bundle', async () => {
+    await writeBundle('target:\n  - org: o\n    repos: [a]\n    branches: [main]\n');
+    assert.deepEqual(await validateBundle(bundleDir), { errors: [], warnings: [] });
+  });
+
+  it('reports a missing bundle directory', async () => {
+    const { errors } = await validateBundle(path.join(bundleDir, 'missing'));
+    assert.match(errors[0], /not found/);
+  });
+
+  it('reports deprecated keys as warnings only', async () => {
+    await writeBundle('target:\n  - org: o\n    repos: [a]\n    branches: [main]\n', { saveLogs: true });
+    const { errors, warnings } = await validateBundle(bundleDir);
+    assert.deepEqual(errors, []);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /saveLogs is deprecated/);
+  });
+
+  it('reports a duplicate target once', async () => {
+    await writeBundle('target:\n  - org: o\n    repos: [a]\n    branches: [main]\n  - org: o\n    repos: [a]\n    branches: [main]\n',
+      null, 'Update {{ repo }} to {{ goVersion }}');
+    const { errors } = await validateBundle(bundleDir);
+    assert.equal(errors.length, 2, errors.join('\n'));
+    assert.match(errors[0], /o\/a@main is listed 2 times/);
+    assert.match(errors[1], /task\.md uses undefined variable\(s\) for o\/a@main: goVersion/);
+  });
+
+  it('reports undefined template variables as errors', async () => {
+    await writeBundle('target:\n  - org: o\n    repos: [a]\n    branches: [main]\n    vars:\n      goVersion: "1.23"\n', null, '{{ goVersion }} {{ end }}');
+    const { errors } = await validateBundle(bundleDir);
+    assert.equal(errors.length, 1, errors.join('\n'));
+    assert.match(errors[0], /undefined variable\(s\) for o\/a@main: end; .*\\\{\{/);
+  });
+});